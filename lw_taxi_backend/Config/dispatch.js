@@ -0,0 +1,20 @@
+// Tunables for how bookings are offered to drivers. Override through .env.
+module.exports = {
+  // nearest | longest-idle | round-robin | weighted, see Services/dispatchStrategies
+  strategy: process.env.DISPATCH_STRATEGY || "nearest",
+  // sequential offers one driver at a time, broadcast offers broadcastSize drivers at once
+  mode: process.env.DISPATCH_MODE || "sequential",
+  broadcastSize: Number(process.env.DISPATCH_BROADCAST_SIZE) || 3,
+  strategyWeights: {
+    rating: Number(process.env.DISPATCH_WEIGHT_RATING ?? 0.4),
+    acceptance: Number(process.env.DISPATCH_WEIGHT_ACCEPTANCE ?? 0.3),
+    distance: Number(process.env.DISPATCH_WEIGHT_DISTANCE ?? 0.3)
+  },
+  weightedPoolSize: Number(process.env.DISPATCH_WEIGHTED_POOL_SIZE) || 50,
+  searchRadiusKm: Number(process.env.DISPATCH_RADIUS_KM) || 10,
+  offerTimeoutSeconds: Number(process.env.OFFER_TIMEOUT_SECONDS) || 30,
+  offerSweepIntervalMs: Number(process.env.OFFER_SWEEP_INTERVAL_MS) || 5000,
+  claimAttempts: Number(process.env.DISPATCH_CLAIM_ATTEMPTS) || 5,
+  pendingDemandMaxWaitMinutes: Number(process.env.PENDING_DEMAND_MAX_WAIT_MINUTES) || 15,
+  pendingDemandSweepIntervalMs: Number(process.env.PENDING_DEMAND_SWEEP_INTERVAL_MS) || 60000
+};
@@ -0,0 +1,32 @@
+// Fare tunables. Override through .env.
+module.exports = {
+  // Used until an admin stores a Tariff, see Models/Tariff
+  defaultTariff: {
+    name: "Standard",
+    base_fare: Number(process.env.FARE_BASE ?? 100),
+    per_km: Number(process.env.FARE_PER_KM ?? 50),
+    per_minute: Number(process.env.FARE_PER_MINUTE ?? 2),
+    minimum_fare: Number(process.env.FARE_MINIMUM ?? 200),
+    // Waiting at the pickup and at stops, the first free minutes are not charged
+    waiting_free_minutes: Number(process.env.FARE_WAITING_FREE_MINUTES ?? 5),
+    waiting_per_minute: Number(process.env.FARE_WAITING_PER_MINUTE ?? 5),
+    rounding: {
+      // none | nearest | up | down, to a multiple of step
+      mode: process.env.FARE_ROUNDING_MODE || "nearest",
+      step: Number(process.env.FARE_ROUNDING_STEP) || 10
+    }
+  },
+  // A client-supplied fare further than this (Rs) from the server's is refused
+  mismatchTolerance: Number(process.env.FARE_MISMATCH_TOLERANCE ?? 1),
+  // Longest ride that can be quoted, guards against garbage route input
+  maxDistanceKm: Number(process.env.FARE_MAX_DISTANCE_KM) || 500,
+  // Fastest average speed a quoted route may claim; a shorter estimatedTime is refused
+  maxAverageSpeedKmh: Number(process.env.FARE_MAX_AVERAGE_SPEED_KMH) || 100,
+  // Settling the final fare from the trip as driven, see fareService.settleBooking
+  settlement: {
+    // The final fare never exceeds the quote by more than this
+    maxOverQuotePercent: Number(process.env.FARE_MAX_OVER_QUOTE_PERCENT ?? 20),
+    // When set, a trip that came in cheaper is still charged the quote
+    floorAtQuote: process.env.FARE_FLOOR_AT_QUOTE === "true"
+  }
+};
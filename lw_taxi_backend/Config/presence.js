@@ -0,0 +1,12 @@
+// Tunables for socket presence, driver heartbeats and missed-event replay. Override through .env.
+module.exports = {
+  // How long someone may have no open socket before they count as offline
+  offlineGraceSeconds: Number(process.env.PRESENCE_OFFLINE_GRACE_SECONDS) || 30,
+  // An AVAILABLE driver silent for longer than this (no heartbeat, location or
+  // status change) is marked OFFLINE by the stale driver job
+  staleDriverSeconds: Number(process.env.STALE_DRIVER_SECONDS) || 90,
+  staleSweepIntervalMs: Number(process.env.STALE_DRIVER_SWEEP_INTERVAL_MS) || 30000,
+  // How long, and how many, sent events are kept per recipient for replay on reconnect
+  outboxTtlSeconds: Number(process.env.OUTBOX_TTL_SECONDS) || 120,
+  outboxMaxEvents: Number(process.env.OUTBOX_MAX_EVENTS) || 100
+};
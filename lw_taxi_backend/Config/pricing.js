@@ -0,0 +1,44 @@
+// Surge pricing rules applied on top of the tariff, see Services/pricingRules.
+// Override through .env.
+
+// SURGE_HOLIDAYS="2026-12-25:Christmas,05-01:May Day", MM-DD dates recur every year
+const parseHolidays = (value = "") =>
+  value.split(",").map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [date, ...name] = entry.split(":");
+    return { date: date.trim(), name: name.join(":").trim() || "Holiday" };
+  });
+
+module.exports = {
+  // Rules read the local clock of the hotel, not the server's
+  timeZone: process.env.PRICING_TIME_ZONE || "Asia/Colombo",
+  // Windows may cross midnight; `days` (0 = Sunday) is the day a window starts on.
+  // When several windows match the highest multiplier wins.
+  timeWindows: process.env.SURGE_TIME_WINDOWS ? JSON.parse(process.env.SURGE_TIME_WINDOWS) : [
+    {
+      name: "Night",
+      days: [0, 1, 2, 3, 4, 5, 6],
+      start: "23:00",
+      end: "05:00",
+      multiplier: Number(process.env.SURGE_NIGHT_MULTIPLIER ?? 1.5)
+    },
+    {
+      name: "Weekend evening",
+      days: [5, 6],
+      start: "18:00",
+      end: "23:00",
+      multiplier: Number(process.env.SURGE_WEEKEND_EVENING_MULTIPLIER ?? 1.2)
+    }
+  ],
+  holidays: parseHolidays(process.env.SURGE_HOLIDAYS),
+  holidayMultiplier: Number(process.env.SURGE_HOLIDAY_MULTIPLIER ?? 1.25),
+  // Open DRIVER_PENDING bookings per AVAILABLE driver near the pickup.
+  // The highest tier reached applies; below minPending there is no demand surge.
+  demandTiers: [
+    { ratio: 1.5, multiplier: 1.2 },
+    { ratio: 2, multiplier: 1.5 },
+    { ratio: 3, multiplier: 2 }
+  ],
+  demandMinPending: Number(process.env.SURGE_DEMAND_MIN_PENDING) || 3,
+  // Rule multipliers compound, up to this cap
+  maxMultiplier: Number(process.env.SURGE_MAX_MULTIPLIER) || 2.5
+};
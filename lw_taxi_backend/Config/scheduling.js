@@ -0,0 +1,8 @@
+// Tunables for advance bookings. Override through .env.
+module.exports = {
+  dispatchLeadMinutes: Number(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES) || 20,
+  riderReminderLeadMinutes: Number(process.env.SCHEDULED_RIDER_REMINDER_MINUTES) || 60,
+  driverReminderLeadMinutes: Number(process.env.SCHEDULED_DRIVER_REMINDER_MINUTES) || 15,
+  maxAdvanceDays: Number(process.env.SCHEDULED_MAX_ADVANCE_DAYS) || 30,
+  sweepIntervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || 60000
+};
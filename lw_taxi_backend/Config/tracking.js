@@ -0,0 +1,13 @@
+// Tunables for live driver location streaming. Override through .env.
+module.exports = {
+  // Updates arriving faster than this are dropped
+  minUpdateIntervalMs: Number(process.env.TRACKING_MIN_INTERVAL_MS) || 3000,
+  // A jump implying a faster speed than this is treated as a bad GPS fix
+  maxSpeedKmh: Number(process.env.TRACKING_MAX_SPEED_KMH) || 200,
+  // Fixes less accurate than this (metres) are dropped
+  maxAccuracyMeters: Number(process.env.TRACKING_MAX_ACCURACY_METERS) || 500,
+  // Used for the ETA to pickup shown to the rider
+  averageSpeedKmh: Number(process.env.TRACKING_AVERAGE_SPEED_KMH) || 30,
+  // Positions kept per trip for the final fare, the oldest are dropped beyond this
+  maxTrailPoints: Number(process.env.TRACKING_MAX_TRAIL_POINTS) || 5000
+};
@@ -2,80 +2,163 @@ const bookingService = require("../Services/bookingService");
 const Booking = require("../Models/Booking");
 const Driver = require("../Models/Driver");
 const mongoose = require("mongoose");
+const dispatchService = require("../Services/dispatchService");
+const driverService = require("../Services/driverService");
+const notificationService = require("../Services/notificationService");
+const bookingStatusService = require("../Services/bookingStatusService");
+const fareService = require("../Services/fareService");
+const waitingService = require("../Services/waitingService");
+const promoService = require("../Services/promoService");
+const { toGeoPoint } = require("../Services/geoService");
+
+// HTTP status for each error code bookingStatusService can raise
+const STATUS_ERROR_CODES = {
+    BOOKING_NOT_FOUND: 404,
+    INVALID_STATUS: 400,
+    INVALID_TRANSITION: 409,
+    STATUS_CONFLICT: 409
+};
+
+// Statuses only dispatch may set: accepting goes through PATCH /:bookingId/accept,
+// which settles the offer and marks the driver BUSY, and a booking only waits
+// for a driver once dispatch has offered it
+const DISPATCH_STATUSES = ["DRIVER_PENDING", "DRIVER_ASSIGNED"];
+
+// HTTP status for each error code waitingService can raise
+const WAITING_ERROR_CODES = {
+    BOOKING_NOT_FOUND: 404,
+    FORBIDDEN: 403,
+    INVALID_STATUS: 409,
+    WAITING_CONFLICT: 409
+};
+
+// HTTP status for each error code fareService can raise
+const FARE_ERROR_CODES = {
+    INVALID_ROUTE: 400,
+    NO_SERVICE_ZONE: 400,
+    FARE_MISMATCH: 409
+};
+
+const sendFareError = (res, err) => res.status(FARE_ERROR_CODES[err.code]).json({
+    message: err.message,
+    code: err.code,
+    ...(err.estimatedFare != null && { estimatedFare: err.estimatedFare, surge: err.surge })
+});
+
+// HTTP status for each error code promoService raises while applying a code
+const PROMO_ERROR_CODES = {
+    PROMO_INVALID: 404,
+    PROMO_NOT_ACTIVE: 400,
+    PROMO_NOT_ELIGIBLE: 400,
+    PROMO_EXHAUSTED: 409
+};
+exports.PROMO_ERROR_CODES = PROMO_ERROR_CODES;
+
+// Quotes a route under the active tariff, so the client shows the fare the server will charge
+exports.quoteFare = async (req, res) => {
+    try {
+        const { estimatedFare, breakdown, tariff, surge, zones } = await fareService.quote(req.body);
+        res.json({
+            estimatedFare,
+            breakdown,
+            surge,
+            zones,
+            tariff: { id: tariff._id || null, name: tariff.name, version: tariff.version || null }
+        });
+    } catch (err) {
+        if (FARE_ERROR_CODES[err.code]) return sendFareError(res, err);
+        console.error(" Fare quote error:", err);
+        res.status(500).json({ message: err.message });
+    }
+};
 
 exports.createBooking = async (req, res) => {
     const userId = req.user.id;
-    const { startLocation, endLocation, distance, estimatedTime, estimatedFare } = req.body;
+    const { startLocation, endLocation, distance, estimatedTime, estimatedFare, pickupCoords, dropoffCoords, scheduledAt, promoCode } = req.body;
 
     try {
         console.log("Creating booking for user:", userId);
 
+        const schedule = bookingService.resolveSchedule(scheduledAt);
+
+        // The fare is always the server's; a client fare only has to agree with it
+        const quote = await fareService.quote(req.body);
+        fareService.verifyClientFare(quote, estimatedFare);
+
+        // Takes one use of the code, given back below if the booking is not saved
+        const promo = promoCode ? await promoService.claim(promoCode, userId, quote.estimatedFare) : null;
+
         const bookingData = {
             user: userId,
             pickup: startLocation,
             drop: endLocation,
-            distance_km: distance,
-            time_minutes: estimatedTime,
-            estimated_fare: estimatedFare,
-            status: "DRIVER_PENDING"
+            distance_km: Number(distance),
+            time_minutes: Number(estimatedTime),
+            estimated_fare: quote.estimatedFare,
+            tariff: quote.tariff._id || null,
+            surge_multiplier: quote.surge.multiplier,
+            surge_reason: quote.surge.reason,
+            fixed_fare: quote.zones.fixedFare,
+            surcharges: quote.zones.surcharges,
+            promo: promo && {
+                code: promo.promo.code,
+                discount_type: promo.promo.discount_type,
+                discount_value: promo.promo.discount_value,
+                max_discount: promo.promo.max_discount
+            },
+            discount: promo ? promo.discount : 0,
+            pickup_location: toGeoPoint(pickupCoords),
+            dropoff_location: toGeoPoint(dropoffCoords),
+            scheduled_at: schedule.scheduled_at,
+            status: schedule.status
         };
 
-        const newBooking = await bookingService.createBooking(bookingData);
+        let newBooking;
+        try {
+            newBooking = await bookingService.createBooking(bookingData);
+            // Nothing has been dispatched yet, so a booking whose redemption
+            // cannot be recorded is removed again rather than left without it
+            if (promo) {
+                await promoService.recordRedemption(promo, newBooking).catch(async (err) => {
+                    await Booking.deleteOne({ _id: newBooking._id });
+                    throw err;
+                });
+            }
+        } catch (err) {
+            if (promo) await promoService.release(promo.promo._id, userId);
+            throw err;
+        }
         console.log(" Booking created:", newBooking._id);
+        if (promo) console.log(` Promo ${promo.promo.code} applied: Rs ${promo.discount} off`);
 
-        const io = req.app.get('io');
-        console.log(" Searching for available driver with socketId...");
-        
-        const availableDriver = await Driver.findOne({
-            isAvailable: true,
-            socketId: { $exists: true, $ne: null },
-            status: 'AVAILABLE'
-        }).sort({ lastSeen: -1 });
-
-        if (availableDriver) {
-            console.log("Found available driver:", {
-                id: availableDriver._id,
-                name: availableDriver.name,
-                socketId: availableDriver.socketId,
-                email: availableDriver.email
+        const fare = {
+            estimatedFare: newBooking.estimated_fare,
+            discount: newBooking.discount,
+            payableFare: newBooking.estimated_fare - newBooking.discount
+        };
+
+        if (newBooking.status === "SCHEDULED") {
+            console.log(" Booking scheduled for:", newBooking.scheduled_at);
+            return res.status(201).json({
+                message: "Booking scheduled successfully.",
+                bookingId: newBooking._id,
+                status: newBooking.status,
+                scheduledAt: newBooking.scheduled_at,
+                ...fare,
+                assignedDriver: null
             });
+        }
 
-            newBooking.assigned_driver = availableDriver._id;
-            newBooking.status = 'DRIVER_PENDING';
-            await newBooking.save();
-
-            availableDriver.isAvailable = false;
-            await availableDriver.save();
-
-            if (io && availableDriver.socketId) {
-                console.log("Emitting new_ride_request to socket:", availableDriver.socketId);
-                
-                io.to(availableDriver.socketId).emit('new_ride_request', {
-                    _id: newBooking._id,
-                    pickup: newBooking.pickup,
-                    drop: newBooking.drop,
-                    distance_km: newBooking.distance_km,
-                    time_minutes: newBooking.time_minutes,
-                    estimated_fare: newBooking.estimated_fare,
-                    user: newBooking.user,
-                    status: newBooking.status
-                });
-                
-                console.log(` Ride request sent to driver ${availableDriver.name}`);
-            } else {
-                console.error(" IO not available or no socketId");
-            }
+        const io = req.app.get('io');
+        console.log(" Searching for nearest available driver...");
 
-        } else {
-            console.log(' No available drivers found');
-            newBooking.status = 'NO_DRIVER_AVAILABLE';
-            await newBooking.save();
-        }
+        const { booking, driver: availableDriver } = await dispatchService.offerBooking(io, newBooking);
 
         res.status(201).json({
             message: "Booking submitted successfully.",
-            bookingId: newBooking._id,
-            status: newBooking.status,
+            bookingId: booking._id,
+            status: booking.status,
+            ...fare,
             assignedDriver: availableDriver ? {
                 id: availableDriver._id,
                 name: availableDriver.name
@@ -83,6 +166,10 @@ exports.createBooking = async (req, res) => {
         });
 
     } catch (err) {
+        if (FARE_ERROR_CODES[err.code]) return sendFareError(res, err);
+        if (PROMO_ERROR_CODES[err.code]) {
+            return res.status(PROMO_ERROR_CODES[err.code]).json({ message: err.message, code: err.code });
+        }
         console.error(" Booking submission error:", err.message);
         res.status(400).json({ message: err.message });
     }
@@ -108,11 +195,15 @@ exports.getBookingStatus = async (req, res) => {
 
         const isPassenger = booking.user && booking.user._id.toString() === userId;
         const isAssignedDriver = booking.assigned_driver && booking.assigned_driver._id.toString() === userId;
+        // Broadcast offers go out before anyone is assigned
+        const isOfferedDriver = booking.offers.some(
+            (offer) => offer.outcome === 'PENDING' && offer.driver.toString() === userId
+        );
         const isAdmin = userRole === 'ADMIN';
 
-        console.log(' Access check:', { isPassenger, isAssignedDriver, isAdmin });
+        console.log(' Access check:', { isPassenger, isAssignedDriver, isOfferedDriver, isAdmin });
 
-        if (!isPassenger && !isAssignedDriver && !isAdmin) {
+        if (!isPassenger && !isAssignedDriver && !isOfferedDriver && !isAdmin) {
             console.error(' Access denied for user:', userId);
             return res.status(403).json({ message: "Access denied to this booking." });
         }
@@ -147,6 +238,7 @@ exports.getAllBookings = async (req, res) => {
     const bookings = await Booking.find()
       .populate('user', 'name email mobile')
       .populate('assigned_driver', 'name mobile vehicle_number')
+      .populate('offers.driver', 'name vehicle_number')
       .sort({ createdAt: -1 });
 
     console.log(` Found ${bookings.length} bookings`);
@@ -178,7 +270,7 @@ exports.cancelBooking = async (req, res) => {
     const { bookingId } = req.params;
 
     try {
-        const booking = await Booking.findById(bookingId);
+        let booking = await Booking.findById(bookingId);
 
         if (!booking) {
             return res.status(404).json({ message: "Booking not found" });
@@ -188,24 +280,48 @@ exports.cancelBooking = async (req, res) => {
             return res.status(403).json({ message: "Not authorized" });
         }
 
-        booking.status = 'CANCELLED';
-        await booking.save();
+        // Broadcast offers have no assigned driver, each offered driver has to hear of it
+        const offeredDriverIds = booking.offers
+            .filter((offer) => offer.outcome === 'PENDING')
+            .map((offer) => offer.driver);
+
+        try {
+            const now = new Date();
+            booking = await bookingStatusService.transition(bookingId, 'CANCELLED', {
+                actor: bookingStatusService.actorForRole(req.user.role),
+                actorId: req.user.id,
+                from: booking.status,
+                update: {
+                    $set: {
+                        offer_expires_at: null,
+                        'offers.$[open].outcome': 'WITHDRAWN',
+                        'offers.$[open].responded_at': now
+                    }
+                },
+                options: { arrayFilters: [{ 'open.outcome': 'PENDING' }] }
+            });
+        } catch (err) {
+            if (!STATUS_ERROR_CODES[err.code]) throw err;
+            return res.status(STATUS_ERROR_CODES[err.code]).json({ message: err.message, code: err.code });
+        }
+
+        await promoService.releaseForBooking(booking._id)
+            .catch((err) => console.error(" Failed to release promo code:", err.message));
 
         if (booking.assigned_driver) {
-            const driver = await Driver.findByIdAndUpdate(booking.assigned_driver, {
+            await Driver.findByIdAndUpdate(booking.assigned_driver, {
                 isAvailable: true,
                 status: 'AVAILABLE'
-            }, { new: true });
-
-            const io = req.app.get('io');
-            if (io && driver?.socketId) {
-                io.to(driver.socketId).emit('ride_cancelled', {
-                    rideId: booking._id,
-                    message: 'Ride has been cancelled by user'
-                });
-            }
+            });
         }
 
+        const notifyDriverIds = [...new Set(
+            [booking.assigned_driver, ...offeredDriverIds].filter(Boolean).map(String)
+        )];
+        notificationService.rideCancelled(req.app.get('io'), booking, notifyDriverIds);
+
+        notificationService.bookingStatusChanged(req.app.get('io'), booking);
+
         res.json({ message: "Booking cancelled successfully", booking });
 
     } catch (err) {
@@ -221,6 +337,13 @@ exports.updateBookingStatus = async (req, res) => {
     const userId = req.user.id;
     const userRole = req.user.role;
 
+    if (DISPATCH_STATUSES.includes(status)) {
+        return res.status(409).json({
+            message: `${status} is set by dispatch, not through a status update`,
+            code: "INVALID_TRANSITION"
+        });
+    }
+
     try {
         console.log(' Updating booking status:', { bookingId, status, userId });
 
@@ -243,26 +366,36 @@ exports.updateBookingStatus = async (req, res) => {
             return res.status(403).json({ message: "Only the assigned driver can update booking status" });
         }
 
-        const validStatuses = ['DRIVER_PENDING', 'DRIVER_ASSIGNED', 'NO_DRIVER_AVAILABLE', 'ONGOING', 'FINISHED', 'CANCELLED'];
-        
-        if (!validStatuses.includes(status)) {
-            console.error(' Invalid status:', status);
-            return res.status(400).json({ 
-                message: `Invalid status: ${status}. Valid values are: ${validStatuses.join(', ')}` 
+        let updatedBooking;
+        try {
+            updatedBooking = await bookingStatusService.transition(bookingId, status, {
+                actor: bookingStatusService.actorForRole(userRole),
+                actorId: userId,
+                from: booking.status
             });
+        } catch (err) {
+            if (!STATUS_ERROR_CODES[err.code]) throw err;
+            console.error(' Rejected status change:', err.message);
+            return res.status(STATUS_ERROR_CODES[err.code]).json({ message: err.message, code: err.code });
         }
 
-        booking.status = status;
-        const updatedBooking = await booking.save();
+        if (updatedBooking.status === "FINISHED") {
+            // Finishing the trip must not fail on pricing, the booking just stays without a final_fare
+            try {
+                updatedBooking = await fareService.settleBooking(bookingId);
+                console.log(' Final fare settled:', updatedBooking.final_fare);
+            } catch (err) {
+                console.error(' Fare settlement failed:', err);
+            }
+        }
+
+        await updatedBooking.populate([
+            { path: 'user', select: 'name mobile email' },
+            { path: 'assigned_driver', select: 'name mobile vehicle_number' }
+        ]);
         console.log(' Booking status updated:', updatedBooking.status);
 
-        const io = req.app.get('io');
-        if (io) {
-            io.emit('booking_status_update', {
-                bookingId: booking._id,
-                status: booking.status
-            });
-        }
+        notificationService.bookingStatusChanged(req.app.get('io'), updatedBooking);
 
         res.json({ 
             message: "Booking status updated", 
@@ -276,6 +409,39 @@ exports.updateBookingStatus = async (req, res) => {
 };
 
 
+// The driver marks the start or end of a stop during the trip, e.g. at a temple
+exports.updateWaiting = async (req, res) => {
+    const { bookingId } = req.params;
+    const { waiting } = req.body;
+
+    try {
+        if (typeof waiting !== 'boolean') {
+            return res.status(400).json({ message: "waiting must be boolean" });
+        }
+        if (req.user.role !== 'DRIVER' && req.user.role !== 'ADMIN') {
+            return res.status(403).json({ message: "Only the assigned driver can record waiting" });
+        }
+
+        const driverId = req.user.role === 'ADMIN' ? null : req.user.id;
+        const booking = await waitingService.setWaiting(bookingId, driverId, waiting);
+        await booking.populate([
+            { path: 'user', select: 'name mobile email' },
+            { path: 'assigned_driver', select: 'name mobile vehicle_number' }
+        ]);
+
+        notificationService.bookingStatusChanged(req.app.get('io'), booking);
+
+        res.json({ message: waiting ? "Waiting started" : "Trip resumed", booking });
+    } catch (err) {
+        if (WAITING_ERROR_CODES[err.code]) {
+            return res.status(WAITING_ERROR_CODES[err.code]).json({ message: err.message, code: err.code });
+        }
+        console.error(" Error updating waiting:", err);
+        res.status(500).json({ message: err.message });
+    }
+};
+
+
 exports.updatePaymentStatus = async (req, res) => {
     const { bookingId } = req.params;
     const { payment_status } = req.body;
@@ -307,10 +473,7 @@ exports.updatePaymentStatus = async (req, res) => {
 
         console.log(' Payment status updated to:', payment_status);
 
-        const io = req.app.get('io');
-        if (io) {
-            io.emit('payment_status_update', { bookingId, payment_status });
-        }
+        notificationService.paymentStatusChanged(req.app.get('io'), updated);
 
         res.json({ message: "Payment status updated", booking: updated });
 
@@ -318,4 +481,81 @@ exports.updatePaymentStatus = async (req, res) => {
         console.error(" Error updating payment:", err);
         res.status(500).json({ message: err.message });
     }
-};
\ No newline at end of file
+};
+
+
+exports.getPendingBookings = async (req, res) => {
+    try {
+        if (req.user.role !== 'DRIVER') {
+            return res.status(403).json({ message: "Only drivers have pending rides" });
+        }
+
+        const bookings = await driverService.getPendingBookings(req.user.id);
+        res.json(bookings);
+    } catch (err) {
+        console.error(" Error fetching pending bookings:", err);
+        res.status(500).json({ message: err.message });
+    }
+};
+
+
+// REST counterpart of the accept_booking socket event, for drivers without a live socket
+exports.acceptBooking = async (req, res) => {
+    const { bookingId } = req.params;
+
+    try {
+        if (req.user.role !== 'DRIVER') {
+            return res.status(403).json({ message: "Only drivers can accept rides" });
+        }
+
+        const io = req.app.get('io');
+        const result = await driverService.handleBookingAction(req.user.id, bookingId, "ACCEPT", io);
+        const booking = await result.booking.populate(bookingService.PARTIES_POPULATE);
+
+        notificationService.bookingAccepted(io, booking, result.driver);
+
+        res.json({
+            message: result.msg,
+            booking: notificationService.bookingSummary(booking),
+            driver: notificationService.driverSummary(result.driver)
+        });
+    } catch (err) {
+        if (err.code === "RIDE_TAKEN" || err.code === "DRIVER_BUSY") {
+            return res.status(409).json({ message: err.message, code: err.code });
+        }
+        if (err.code === "BOOKING_NOT_FOUND") {
+            return res.status(404).json({ message: err.message });
+        }
+        console.error(" Error accepting booking:", err);
+        res.status(500).json({ message: err.message });
+    }
+};
+
+
+// REST counterpart of the reject_booking socket event
+exports.declineBooking = async (req, res) => {
+    const { bookingId } = req.params;
+
+    try {
+        if (req.user.role !== 'DRIVER') {
+            return res.status(403).json({ message: "Only drivers can decline rides" });
+        }
+
+        const io = req.app.get('io');
+        const result = await driverService.handleBookingAction(req.user.id, bookingId, "REJECT", io);
+        const booking = await result.booking.populate(bookingService.PARTIES_POPULATE);
+
+        notificationService.bookingRejected(io, booking);
+
+        res.json({ message: result.msg, bookingId: booking._id, status: booking.status });
+    } catch (err) {
+        if (err.code === "OFFER_WITHDRAWN") {
+            return res.status(409).json({ message: err.message, code: err.code });
+        }
+        if (err.code === "BOOKING_NOT_FOUND") {
+            return res.status(404).json({ message: err.message });
+        }
+        console.error(" Error declining booking:", err);
+        res.status(500).json({ message: err.message });
+    }
+};
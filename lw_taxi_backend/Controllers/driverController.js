@@ -1,5 +1,8 @@
 const driverService = require("../Services/driverService");
 const Driver = require("../Models/Driver");
+const dispatchService = require("../Services/dispatchService");
+const notificationService = require("../Services/notificationService");
+const { toGeoPoint } = require("../Services/geoService");
 
 
 exports.registerDriver = async (req, res) => {
@@ -57,33 +60,32 @@ exports.getDriverById = async (req, res) => {
 exports.updateDriverStatus = async (req, res) => {
   try {
     const { driverId } = req.params;
-    const { status, isAvailable } = req.body;
+    const { status, isAvailable, coords } = req.body;
 
     if (req.user.id !== driverId) {
       return res.status(403).json({ msg: "Access denied" });
     }
 
-    const driver = await Driver.findByIdAndUpdate(
-      driverId,
-      {
-        status,
-        isAvailable,
-        lastSeen: new Date()
-      },
-      { new: true }
-    ).select('-password');
+    const update = {
+      status,
+      isAvailable,
+      lastSeen: new Date()
+    };
+    const location = toGeoPoint(coords);
+    if (location) update.location = location;
+    if (status === 'AVAILABLE') update.availableSince = new Date();
+
+    const driver = await Driver.findByIdAndUpdate(driverId, update, { new: true }).select('-password');
 
     if (!driver) {
       return res.status(404).json({ msg: "Driver not found" });
     }
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('driver_status_update', {
-        driverId: driver._id,
-        status: driver.status,
-        isAvailable: driver.isAvailable
-      });
+    notificationService.driverStatusChanged(io, driver);
+
+    if (driver.isAvailable && driver.status === 'AVAILABLE') {
+      await dispatchService.offerWaitingBooking(io, driver._id);
     }
 
     res.json({ msg: "Status updated successfully", driver });
@@ -96,7 +98,7 @@ exports.updateDriverStatus = async (req, res) => {
 exports.updateDriverAvailability = async (req, res) => {
   try {
     const { driverId } = req.params;
-    const { isAvailable } = req.body;
+    const { isAvailable, coords } = req.body;
 
     if (typeof isAvailable !== 'boolean') {
       return res.status(400).json({ msg: "isAvailable must be boolean" });
@@ -108,13 +110,19 @@ exports.updateDriverAvailability = async (req, res) => {
 
     const status = isAvailable ? 'AVAILABLE' : 'OFFLINE';
 
+    const update = {
+      isAvailable,
+      status,
+      lastSeen: new Date()
+    };
+    const location = toGeoPoint(coords);
+    if (location) update.location = location;
+    // Starts the idle clock used by the longest-idle and round-robin strategies
+    update.availableSince = isAvailable ? new Date() : null;
+
     const driver = await Driver.findByIdAndUpdate(
       driverId,
-      {
-        isAvailable,
-        status,
-        lastSeen: new Date()
-      },
+      update,
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -125,12 +133,10 @@ exports.updateDriverAvailability = async (req, res) => {
     console.log(` Driver ${driverId} availability updated:`, { isAvailable, status });
 
     const io = req.app.get('io');
-    if (io) {
-      io.emit('driver_status_update', {
-        driverId: driver._id,
-        status: driver.status,
-        isAvailable: driver.isAvailable
-      });
+    notificationService.driverStatusChanged(io, driver);
+
+    if (driver.isAvailable && driver.status === 'AVAILABLE') {
+      await dispatchService.offerWaitingBooking(io, driver._id);
     }
 
     res.json({
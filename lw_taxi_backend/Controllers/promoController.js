@@ -0,0 +1,93 @@
+const promoService = require("../Services/promoService");
+
+// HTTP status for each error code promoService can raise
+const PROMO_ERROR_CODES = {
+  INVALID_PROMO: 400,
+  PROMO_INVALID: 404,
+  PROMO_NOT_FOUND: 404,
+  PROMO_NOT_ACTIVE: 400,
+  PROMO_NOT_ELIGIBLE: 400,
+  PROMO_EXHAUSTED: 409,
+  PROMO_EXISTS: 409,
+  PROMO_IN_USE: 409
+};
+
+const sendError = (res, err, context) => {
+  if (PROMO_ERROR_CODES[err.code]) {
+    return res.status(PROMO_ERROR_CODES[err.code]).json({ msg: err.message, code: err.code });
+  }
+  console.error(` ${context}:`, err);
+  res.status(500).json({ msg: err.message });
+};
+
+
+// Checks a code against the rider's quoted fare before they book, nothing is used up
+exports.validatePromo = async (req, res) => {
+  const fare = Number(req.body.fare);
+  if (!req.body.code || !Number.isFinite(fare) || fare <= 0) {
+    return res.status(400).json({ msg: "code and fare are required", code: "INVALID_PROMO" });
+  }
+
+  try {
+    const { promo, discount } = await promoService.validate(req.body.code, req.user.id, fare);
+    res.json({
+      code: promo.code,
+      description: promo.description,
+      discount,
+      payableFare: Math.round((fare - discount) * 100) / 100
+    });
+  } catch (err) {
+    sendError(res, err, "Error validating promo code");
+  }
+};
+
+
+exports.getPromos = async (req, res) => {
+  try {
+    const promos = await promoService.listPromos();
+    res.json({ promos });
+  } catch (err) {
+    sendError(res, err, "Error fetching promo codes");
+  }
+};
+
+
+exports.createPromo = async (req, res) => {
+  try {
+    const promo = await promoService.createPromo(req.body, req.user.id);
+    console.log(` Promo code ${promo.code} created`);
+    res.status(201).json({ msg: "Promo code created", promo });
+  } catch (err) {
+    sendError(res, err, "Error creating promo code");
+  }
+};
+
+
+exports.updatePromo = async (req, res) => {
+  try {
+    const promo = await promoService.updatePromo(req.params.promoId, req.body);
+    res.json({ msg: "Promo code updated", promo });
+  } catch (err) {
+    sendError(res, err, "Error updating promo code");
+  }
+};
+
+
+exports.deletePromo = async (req, res) => {
+  try {
+    const { deleted, promo } = await promoService.deletePromo(req.params.promoId);
+    res.json({ msg: deleted ? "Promo code deleted" : "Promo code deactivated", promo });
+  } catch (err) {
+    sendError(res, err, "Error deleting promo code");
+  }
+};
+
+
+exports.getRedemptions = async (req, res) => {
+  try {
+    const redemptions = await promoService.listRedemptions(req.params.promoId);
+    res.json({ redemptions });
+  } catch (err) {
+    sendError(res, err, "Error fetching promo redemptions");
+  }
+};
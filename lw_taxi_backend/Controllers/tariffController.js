@@ -0,0 +1,70 @@
+const tariffService = require("../Services/tariffService");
+const fareService = require("../Services/fareService");
+
+// HTTP status for each error code tariffService can raise
+const TARIFF_ERROR_CODES = {
+  INVALID_TARIFF: 400,
+  TARIFF_NOT_FOUND: 404,
+  TARIFF_IN_EFFECT: 409,
+  TARIFF_CONFLICT: 409
+};
+
+const sendError = (res, err, context) => {
+  if (TARIFF_ERROR_CODES[err.code]) {
+    return res.status(TARIFF_ERROR_CODES[err.code]).json({ msg: err.message, code: err.code });
+  }
+  console.error(` ${context}:`, err);
+  res.status(500).json({ msg: err.message });
+};
+
+
+exports.getTariffs = async (req, res) => {
+  try {
+    const tariffs = await tariffService.listTariffs();
+    res.json({ tariffs });
+  } catch (err) {
+    sendError(res, err, "Error fetching tariffs");
+  }
+};
+
+
+// The prices riders are quoted right now, open to every signed in user
+exports.getCurrentTariff = async (req, res) => {
+  try {
+    const tariff = await fareService.getActiveTariff();
+    res.json({ tariff });
+  } catch (err) {
+    sendError(res, err, "Error fetching current tariff");
+  }
+};
+
+
+exports.createTariff = async (req, res) => {
+  try {
+    const tariff = await tariffService.createTariff(req.body, req.user.id);
+    console.log(` Tariff v${tariff.version} published, effective from`, tariff.effective_from);
+    res.status(201).json({ msg: "Tariff published", tariff });
+  } catch (err) {
+    sendError(res, err, "Error creating tariff");
+  }
+};
+
+
+exports.updateTariff = async (req, res) => {
+  try {
+    const tariff = await tariffService.updateTariff(req.params.tariffId, req.body);
+    res.json({ msg: "Tariff updated", tariff });
+  } catch (err) {
+    sendError(res, err, "Error updating tariff");
+  }
+};
+
+
+exports.deleteTariff = async (req, res) => {
+  try {
+    const { deleted, tariff } = await tariffService.deleteTariff(req.params.tariffId);
+    res.json({ msg: deleted ? "Tariff deleted" : "Tariff retired", tariff });
+  } catch (err) {
+    sendError(res, err, "Error deleting tariff");
+  }
+};
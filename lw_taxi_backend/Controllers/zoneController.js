@@ -0,0 +1,56 @@
+const zoneService = require("../Services/zoneService");
+
+// HTTP status for each error code zoneService can raise
+const ZONE_ERROR_CODES = {
+  INVALID_ZONE: 400,
+  ZONE_NOT_FOUND: 404
+};
+
+const sendError = (res, err, context) => {
+  if (ZONE_ERROR_CODES[err.code]) {
+    return res.status(ZONE_ERROR_CODES[err.code]).json({ msg: err.message, code: err.code });
+  }
+  console.error(` ${context}:`, err);
+  res.status(500).json({ msg: err.message });
+};
+
+
+exports.getZones = async (req, res) => {
+  try {
+    const zones = await zoneService.listZones();
+    res.json({ zones });
+  } catch (err) {
+    sendError(res, err, "Error fetching zones");
+  }
+};
+
+
+exports.createZone = async (req, res) => {
+  try {
+    const zone = await zoneService.createZone(req.body, req.user.id);
+    console.log(` Zone ${zone.name} created`);
+    res.status(201).json({ msg: "Zone created", zone });
+  } catch (err) {
+    sendError(res, err, "Error creating zone");
+  }
+};
+
+
+exports.updateZone = async (req, res) => {
+  try {
+    const zone = await zoneService.updateZone(req.params.zoneId, req.body);
+    res.json({ msg: "Zone updated", zone });
+  } catch (err) {
+    sendError(res, err, "Error updating zone");
+  }
+};
+
+
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await zoneService.deleteZone(req.params.zoneId);
+    res.json({ msg: "Zone deleted", zone });
+  } catch (err) {
+    sendError(res, err, "Error deleting zone");
+  }
+};
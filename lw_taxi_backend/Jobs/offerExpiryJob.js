@@ -0,0 +1,38 @@
+const Booking = require("../Models/Booking");
+const dispatchService = require("../Services/dispatchService");
+const dispatchConfig = require("../Config/dispatch");
+
+let sweeping = false;
+
+const sweepExpiredOffers = async (io) => {
+  const expired = await Booking.find({
+    status: "DRIVER_PENDING",
+    offer_expires_at: { $ne: null, $lte: new Date() }
+  }).select("_id offer_expires_at");
+
+  for (const { _id, offer_expires_at } of expired) {
+    try {
+      await dispatchService.expireOffer(io, _id, offer_expires_at);
+    } catch (err) {
+      console.error(`Failed to expire offer for booking ${_id}:`, err.message);
+    }
+  }
+};
+
+// Periodically re-offers bookings whose driver let the offer lapse.
+module.exports = function startOfferExpiryJob(io) {
+  const timer = setInterval(async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await sweepExpiredOffers(io);
+    } catch (err) {
+      console.error("Offer expiry sweep error:", err.message);
+    } finally {
+      sweeping = false;
+    }
+  }, dispatchConfig.offerSweepIntervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,50 @@
+const Booking = require("../Models/Booking");
+const bookingStatusService = require("../Services/bookingStatusService");
+const notificationService = require("../Services/notificationService");
+const promoService = require("../Services/promoService");
+const dispatchConfig = require("../Config/dispatch");
+
+let sweeping = false;
+
+// Bookings that waited for a driver longer than the pending-demand limit
+// leave the queue and are cancelled, so riders are not left hanging.
+const cancelStaleWaitingBookings = async (io) => {
+  const maxWaitMs = dispatchConfig.pendingDemandMaxWaitMinutes * 60 * 1000;
+  const stale = await Booking.find({
+    status: "NO_DRIVER_AVAILABLE",
+    waiting_since: { $lt: new Date(Date.now() - maxWaitMs) }
+  }).select("_id");
+
+  for (const { _id } of stale) {
+    try {
+      const booking = await bookingStatusService.transition(_id, "CANCELLED", {
+        actor: "system",
+        from: "NO_DRIVER_AVAILABLE"
+      });
+      notificationService.bookingExpired(io, booking);
+      await promoService.releaseForBooking(_id);
+      console.log(`Booking ${_id} cancelled after waiting too long for a driver`);
+    } catch (err) {
+      if (err.code !== "STATUS_CONFLICT") {
+        console.error(`Failed to cancel waiting booking ${_id}:`, err.message);
+      }
+    }
+  }
+};
+
+module.exports = function startPendingDemandJob(io) {
+  const timer = setInterval(async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await cancelStaleWaitingBookings(io);
+    } catch (err) {
+      console.error("Pending demand sweep error:", err.message);
+    } finally {
+      sweeping = false;
+    }
+  }, dispatchConfig.pendingDemandSweepIntervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,99 @@
+const Booking = require("../Models/Booking");
+const dispatchService = require("../Services/dispatchService");
+const notificationService = require("../Services/notificationService");
+const rooms = require("../Services/socketRooms");
+const schedulingConfig = require("../Config/scheduling");
+const pricingConfig = require("../Config/pricing");
+
+let sweeping = false;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Pickup time on the hotel's local clock, the one the surge windows read too
+const formatPickupTime = (date) =>
+  date.toLocaleString("en-GB", { timeZone: pricingConfig.timeZone, dateStyle: "medium", timeStyle: "short" });
+
+// Advance bookings whose pickup is within the dispatch lead time start
+// looking for a driver, exactly like an immediate booking would.
+const dispatchDueBookings = async (io) => {
+  const due = await Booking.find({
+    status: "SCHEDULED",
+    scheduled_at: { $lte: minutesFromNow(schedulingConfig.dispatchLeadMinutes) }
+  }).sort({ scheduled_at: 1 });
+
+  for (const booking of due) {
+    try {
+      console.log(`Starting dispatch for scheduled booking ${booking._id} (pickup ${booking.scheduled_at.toISOString()})`);
+      const { booking: dispatched } = await dispatchService.offerBooking(io, booking);
+      if (dispatched.status !== "DRIVER_PENDING") {
+        notificationService.bookingStatusChanged(io, dispatched);
+        continue;
+      }
+
+      notificationService.driverSearchResumed(
+        io,
+        dispatched,
+        "Your scheduled ride is coming up, we are contacting a driver now."
+      );
+    } catch (err) {
+      console.error(`Failed to dispatch scheduled booking ${booking._id}:`, err.message);
+    }
+  }
+};
+
+// Each reminder is claimed with a conditional update so it is sent once.
+const sendReminders = async (io, { leadMinutes, statuses, field, room, message }) => {
+  const candidates = await Booking.find({
+    status: { $in: statuses },
+    scheduled_at: { $ne: null, $lte: minutesFromNow(leadMinutes), $gte: new Date() },
+    [field]: null
+  }).select("_id");
+
+  for (const { _id } of candidates) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id, [field]: null },
+      { [field]: new Date() },
+      { new: true }
+    );
+
+    if (!booking) continue;
+    notificationService.rideReminder(io, room(booking), booking, message(booking));
+  }
+};
+
+const sweepScheduledBookings = async (io) => {
+  await sendReminders(io, {
+    leadMinutes: schedulingConfig.riderReminderLeadMinutes,
+    statuses: ["SCHEDULED", "DRIVER_PENDING", "NO_DRIVER_AVAILABLE", "DRIVER_ASSIGNED"],
+    field: "rider_reminded_at",
+    room: (booking) => rooms.user(booking.user),
+    message: (booking) => `Reminder: your taxi to ${booking.drop} is booked for ${formatPickupTime(booking.scheduled_at)}.`
+  });
+
+  await dispatchDueBookings(io);
+
+  await sendReminders(io, {
+    leadMinutes: schedulingConfig.driverReminderLeadMinutes,
+    statuses: ["DRIVER_ASSIGNED"],
+    field: "driver_reminded_at",
+    room: (booking) => rooms.driver(booking.assigned_driver),
+    message: (booking) => `Reminder: pick up at ${booking.pickup} at ${formatPickupTime(booking.scheduled_at)}.`
+  });
+};
+
+module.exports = function startScheduledBookingJob(io) {
+  const timer = setInterval(async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await sweepScheduledBookings(io);
+    } catch (err) {
+      console.error("Scheduled booking sweep error:", err.message);
+    } finally {
+      sweeping = false;
+    }
+  }, schedulingConfig.sweepIntervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,52 @@
+const Driver = require("../Models/Driver");
+const dispatchService = require("../Services/dispatchService");
+const notificationService = require("../Services/notificationService");
+const presenceConfig = require("../Config/presence");
+
+let sweeping = false;
+
+// AVAILABLE drivers whose app went silent (no heartbeat, location or status
+// update) are taken OFFLINE and lose their outstanding offers. Drivers on a
+// ride stay BUSY, a dead phone mid-trip is handled by the trip itself.
+const sweepStaleDrivers = async (io) => {
+  const cutoff = new Date(Date.now() - presenceConfig.staleDriverSeconds * 1000);
+  const stale = await Driver.find({ status: "AVAILABLE", lastSeen: { $lt: cutoff } }).select("_id");
+
+  for (const { _id } of stale) {
+    try {
+      // Conditional, so a heartbeat that arrived in the meantime wins. Socket ids
+      // are left to the disconnect handler, the connection may still be open.
+      const driver = await Driver.findOneAndUpdate(
+        { _id, status: "AVAILABLE", lastSeen: { $lt: cutoff } },
+        { status: "OFFLINE", isAvailable: false, availableSince: null },
+        { new: true }
+      ).select("-password");
+      if (!driver) continue;
+
+      console.log(`Driver ${driver.name}(${_id}) went silent, marked OFFLINE`);
+      notificationService.driverStatusChanged(io, driver);
+
+      await dispatchService.withdrawDriverOffers(io, _id);
+    } catch (err) {
+      console.error(`Failed to take stale driver ${_id} offline:`, err.message);
+    }
+  }
+};
+
+// Periodically takes drivers that stopped sending heartbeats offline.
+module.exports = function startStaleDriverJob(io) {
+  const timer = setInterval(async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      await sweepStaleDrivers(io);
+    } catch (err) {
+      console.error("Stale driver sweep error:", err.message);
+    } finally {
+      sweeping = false;
+    }
+  }, presenceConfig.staleSweepIntervalMs);
+
+  timer.unref();
+  return timer;
+};
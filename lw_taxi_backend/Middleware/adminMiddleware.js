@@ -0,0 +1,9 @@
+// Goes after authMiddleware on routes only admins may use
+const adminMiddleware = (req, res, next) => {
+  if (!req.user || req.user.role !== "ADMIN") {
+    return res.status(403).json({ msg: "Forbidden: Admins only" });
+  }
+  next();
+};
+
+module.exports = adminMiddleware;
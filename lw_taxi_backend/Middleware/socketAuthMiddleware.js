@@ -0,0 +1,37 @@
+const jwt = require("jsonwebtoken");
+
+
+// Socket.IO counterpart of authMiddleware: the handshake must carry the same JWT,
+// either as auth.token or as an Authorization header. The decoded identity is
+// kept on socket.user, so handlers never have to trust ids sent in event payloads.
+const socketAuthMiddleware = (socket, next) => {
+  const authHeader = socket.handshake.headers && socket.handshake.headers.authorization;
+  const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+    (authHeader && authHeader.replace("Bearer ", "").trim());
+
+  if (!token || token === "Bearer") {
+    console.warn(" Socket rejected, no token provided:", socket.id);
+    return next(new Error("No token provided"));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    socket.user = {
+      id: decoded.id,
+      role: decoded.role
+    };
+
+    next();
+  } catch (jwtErr) {
+    console.error(" Socket JWT verification failed:", jwtErr.message);
+
+    if (jwtErr.name === "TokenExpiredError") {
+      return next(new Error("Token expired"));
+    }
+
+    return next(new Error("Invalid token"));
+  }
+};
+
+module.exports = socketAuthMiddleware;
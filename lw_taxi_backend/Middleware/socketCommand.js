@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const serviceError = require("../Services/serviceError");
+
+// Field checks for command payload schemas. Each returns the cleaned value,
+// or undefined when the value does not fit.
+const TYPES = {
+  objectId: (value) => (mongoose.Types.ObjectId.isValid(value) ? String(value) : undefined),
+  string: (value) => (typeof value === "string" && value.trim() ? value.trim() : undefined),
+  number: (value) => (typeof value === "number" && Number.isFinite(value) ? value : undefined),
+  // Leaflet [lat, lng]
+  coords: (value) =>
+    Array.isArray(value) && value.length === 2 && value.every((n) => typeof n === "number" && Number.isFinite(n))
+      ? value
+      : undefined
+};
+
+// Checks a payload against a schema of { field: { type, required } }.
+// Fields not in the schema are dropped; a missing optional field may also be null.
+const validate = (schema, payload = {}) => {
+  if (typeof payload !== "object" || payload === null || Array.isArray(payload)) {
+    throw serviceError("INVALID_PAYLOAD", "Payload must be an object");
+  }
+
+  const input = {};
+  for (const [field, { type, required = false }] of Object.entries(schema)) {
+    const raw = payload[field];
+    if (raw === undefined || raw === null) {
+      if (required) throw serviceError("INVALID_PAYLOAD", `${field} is required`);
+      continue;
+    }
+
+    const value = TYPES[type](raw);
+    if (value === undefined) throw serviceError("INVALID_PAYLOAD", `${field} must be a valid ${type}`);
+    input[field] = value;
+  }
+  return input;
+};
+
+
+// Registers a client-to-server command on a socket. Only `roles` may send it,
+// the payload is validated against `schema`, and the outcome goes back through
+// the acknowledgement callback, if the client passed one:
+//   { ok: true, data }  or  { ok: false, error: { code, message } }
+// Errors with a code (see serviceError) are reported as is; anything else is
+// logged and reported as SERVER_ERROR.
+const socketCommand = (socket, name, { roles = null, schema = {} }, handler) => {
+  socket.on(name, async (...args) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : () => {};
+
+    try {
+      if (roles && !roles.includes(socket.user.role)) {
+        throw serviceError("FORBIDDEN", `${name} is not allowed for ${socket.user.role}`);
+      }
+
+      const input = validate(schema, args[0] ?? {});
+      const data = await handler(input);
+      ack({ ok: true, data: data ?? null });
+    } catch (err) {
+      if (!err.code) {
+        console.error(`Error in ${name}:`, err.message);
+        return ack({ ok: false, error: { code: "SERVER_ERROR", message: "Something went wrong, please retry" } });
+      }
+
+      console.warn(`${name} from ${socket.user.role} ${socket.user.id} failed:`, err.code, err.message);
+      ack({ ok: false, error: { code: err.code, message: err.message } });
+    }
+  });
+};
+
+socketCommand.validate = validate;
+
+module.exports = socketCommand;
@@ -1,5 +1,33 @@
 const mongoose = require("mongoose");
 
+// Itemised final fare, every amount in Rs
+const fareBreakdownSchema = new mongoose.Schema({
+  base            : Number,
+  distance        : Number,
+  time            : Number,
+  subtotal        : Number,
+  surge           : Number,
+  minimum_applied : Boolean,
+  rounding        : Number,
+  // Flat zone-to-zone fare standing in for the lines above, which are then 0
+  fixed_fare      : Number,
+  // Zone surcharges added after rounding
+  surcharge       : Number,
+  // Waiting at the pickup and at stops, charged beyond the tariff's free minutes
+  waiting_minutes            : Number,
+  free_waiting_minutes       : Number,
+  chargeable_waiting_minutes : Number,
+  waiting         : Number,
+  // Promo discount taken off the total
+  discount        : Number,
+  // Negative when the quote cap kicked in, positive when floored at the quote
+  cap_adjustment  : Number,
+  distance_km     : Number,
+  time_minutes    : Number,
+  // GPS when priced from the driver's trail, QUOTE when the trail was too short
+  distance_source : { type: String, enum: ["GPS", "QUOTE"] }
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   user            : { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   pickup          : { type: String, required: true },
@@ -7,12 +35,55 @@ const bookingSchema = new mongoose.Schema({
   distance_km     : { type: Number, required: true },
   time_minutes    : { type: Number, required: true },
   estimated_fare  : { type: Number, required: true },
+  // Version the fare was quoted under, null when quoted from the configured default
+  tariff          : { type: mongoose.Schema.Types.ObjectId, ref: "Tariff", default: null },
+  // Surge applied to the quote and the rules behind it, see Services/pricingRules
+  surge_multiplier: { type: Number, default: 1 },
+  surge_reason    : { type: String, default: null },
+  // Zone rules the ride was quoted under, see Services/zoneService
+  fixed_fare      : {
+    type: new mongoose.Schema({
+      from_zone : String,
+      to_zone   : String,
+      fare      : Number
+    }, { _id: false }),
+    default: null
+  },
+  surcharges      : [{
+    zone       : String,
+    applies_to : { type: String, enum: ["PICKUP", "DROP"] },
+    amount     : Number,
+    _id        : false
+  }],
+  // Promo code applied at booking, as it read then, see Services/promoService
+  promo           : {
+    type: new mongoose.Schema({
+      code           : String,
+      discount_type  : { type: String, enum: ["PERCENT", "FIXED"] },
+      discount_value : Number,
+      max_discount   : Number
+    }, { _id: false }),
+    default: null
+  },
+  // Rs off the quote, worked out again on the final fare when the trip is settled
+  discount        : { type: Number, default: 0 },
+
+  pickup_location : {
+    type        : { type: String, enum: ["Point"] },
+    coordinates : { type: [Number], default: undefined }
+  },
+  dropoff_location: {
+    type        : { type: String, enum: ["Point"] },
+    coordinates : { type: [Number], default: undefined }
+  },
 
 status: {
   type: String,
   enum: [
+    "SCHEDULED",
     "DRIVER_PENDING",
     "DRIVER_ASSIGNED",
+    "ARRIVED",
     "NO_DRIVER_AVAILABLE",  
     "ONGOING",
     "FINISHED",
@@ -23,8 +94,61 @@ status: {
 
 
   assigned_driver : { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+
+  // Advance bookings: dispatch starts a configurable lead time before pickup
+  scheduled_at       : { type: Date, default: null },
+  rider_reminded_at  : { type: Date, default: null },
+  driver_reminded_at : { type: Date, default: null },
+
+  // Every driver the ride has been offered to, in order
+  offers: [{
+    driver       : { type: mongoose.Schema.Types.ObjectId, ref: "Driver", required: true },
+    offered_at   : { type: Date, default: Date.now },
+    expires_at   : { type: Date, required: true },
+    outcome      : { type: String, enum: ["PENDING", "ACCEPTED", "REJECTED", "EXPIRED", "WITHDRAWN"], default: "PENDING" },
+    responded_at : { type: Date }
+  }],
+  offer_expires_at: { type: Date, default: null },
+  // How the current offer round went out, see Config/dispatch mode
+  dispatch_mode   : { type: String, enum: ["SEQUENTIAL", "BROADCAST"], default: "SEQUENTIAL" },
+  // Set the first time no driver could be found, drives the pending-demand queue
+  waiting_since   : { type: Date },
+
+  // Every status change, see Services/bookingStatusService for the allowed moves
+  status_history: [{
+    from     : { type: String, default: null },
+    to       : { type: String, required: true },
+    actor    : { type: String, enum: ["rider", "driver", "admin", "system"], required: true },
+    actor_id : { type: mongoose.Schema.Types.ObjectId, default: null },
+    at       : { type: Date, default: Date.now }
+  }],
+
+  // The trip as driven, see Services/fareService settleBooking
+  arrived_at      : { type: Date, default: null },
+  started_at      : { type: Date, default: null },
+  finished_at     : { type: Date, default: null },
+  // Waits during the trip, e.g. at a temple; an open stop has no ended_at
+  stops           : [{
+    _id        : false,
+    started_at : { type: Date, required: true },
+    ended_at   : { type: Date, default: null }
+  }],
+  // Driver positions while ONGOING, left out of queries unless asked for
+  route_trail     : {
+    type   : [{ _id: false, coordinates: [Number], at: Date }],
+    select : false
+  },
+  final_fare      : { type: Number, default: null },
+  fare_breakdown  : { type: fareBreakdownSchema, default: null },
+
   payment_status  : { type: String, enum: ["PENDING", "PAID"], default: "PENDING" }
 
 }, { timestamps: true }); 
 
+bookingSchema.index({ pickup_location: "2dsphere" });
+bookingSchema.index({ dropoff_location: "2dsphere" });
+bookingSchema.index({ status: 1, offer_expires_at: 1 });
+bookingSchema.index({ status: 1, waiting_since: 1 });
+bookingSchema.index({ status: 1, scheduled_at: 1 });
+
 module.exports = mongoose.model("Booking", bookingSchema);
@@ -38,17 +38,61 @@ const driverSchema = new mongoose.Schema(
       default: false,
     },
 
-    socketId: {
-      type: String,
-      default: null,
-      sparse: true,  
+    // One entry per open socket, see Services/presenceService
+    socketIds: {
+      type: [String],
+      default: [],
     },
     lastSeen: {
       type: Date,
       default: new Date(),
     },
+    // Fair-dispatch bookkeeping, see Services/dispatchStrategies
+    availableSince: {
+      type: Date,
+      default: null,
+    },
+    lastOfferedAt: {
+      type: Date,
+      default: null,
+    },
+    offersReceived: {
+      type: Number,
+      default: 0,
+    },
+    offersAccepted: {
+      type: Number,
+      default: 0,
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: 5,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+    // Last accepted live position, see Services/trackingService
+    locationUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+    heading: {
+      type: Number,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+driverSchema.index({ location: "2dsphere" });
+
 module.exports = mongoose.model("Driver", driverSchema);
\ No newline at end of file
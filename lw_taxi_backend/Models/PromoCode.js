@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Discount riders enter at booking time, see Services/promoService
+const promoCodeSchema = new mongoose.Schema({
+  code             : { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description      : { type: String, default: "", trim: true },
+  discount_type    : { type: String, enum: ["PERCENT", "FIXED"], required: true },
+  // Percent off, or Rs off for FIXED
+  discount_value   : { type: Number, required: true, min: 0 },
+  // Upper bound in Rs for PERCENT discounts, null for none
+  max_discount     : { type: Number, default: null, min: 0 },
+  // Quoted fare a booking must reach for the code to apply
+  min_fare         : { type: Number, default: 0, min: 0 },
+  valid_from       : { type: Date, default: null },
+  valid_until      : { type: Date, default: null },
+  // Redemptions across all riders, null for unlimited
+  global_limit     : { type: Number, default: null, min: 1 },
+  per_user_limit   : { type: Number, default: 1, min: 1 },
+  // Only riders without an earlier, uncancelled booking qualify
+  first_ride_only  : { type: Boolean, default: false },
+  active           : { type: Boolean, default: true },
+  // Live redemptions, kept in step with PromoRedemption so the global limit can be claimed atomically
+  redemption_count : { type: Number, default: 0 },
+  created_by       : { type: mongoose.Schema.Types.ObjectId, default: null }
+
+}, { timestamps: true });
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
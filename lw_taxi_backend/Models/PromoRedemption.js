@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// One use of a promo code, the record finance reconciles against
+const promoRedemptionSchema = new mongoose.Schema({
+  promo    : { type: mongoose.Schema.Types.ObjectId, ref: "PromoCode", required: true },
+  code     : { type: String, required: true },
+  user     : { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  booking  : { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, unique: true },
+  // Fare the discount was taken off, in Rs: the quote, then the final fare once settled
+  fare     : { type: Number, required: true },
+  discount : { type: Number, required: true },
+  // APPLIED at booking, SETTLED when the trip's final fare is known,
+  // RELEASED when the booking was cancelled and the use given back
+  status   : { type: String, enum: ["APPLIED", "SETTLED", "RELEASED"], default: "APPLIED" }
+
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ promo: 1, user: 1, status: 1 });
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// How many uses of a promo code one rider currently holds, see
+// Services/promoService.claim. One document per promo and rider, so the
+// per-rider limit is enforced by a single conditional update.
+const promoUsageSchema = new mongoose.Schema({
+  promo : { type: mongoose.Schema.Types.ObjectId, ref: "PromoCode", required: true },
+  user  : { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  count : { type: Number, default: 0, min: 0 }
+
+}, { timestamps: true });
+
+promoUsageSchema.index({ promo: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("PromoUsage", promoUsageSchema);
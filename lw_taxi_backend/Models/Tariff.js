@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// One version of the pricing used to quote rides, see Services/tariffService.
+// Versions are never rewritten once in effect, so a booking's tariff keeps
+// describing the prices it was quoted under.
+const tariffSchema = new mongoose.Schema({
+  version        : { type: Number, required: true, unique: true },
+  name           : { type: String, required: true, trim: true },
+  base_fare      : { type: Number, required: true, min: 0 },
+  per_km         : { type: Number, required: true, min: 0 },
+  per_minute     : { type: Number, required: true, min: 0 },
+  minimum_fare   : { type: Number, default: 0, min: 0 },
+  // Waiting at the pickup and at stops, beyond the free minutes per trip
+  waiting_free_minutes : { type: Number, default: 0, min: 0 },
+  waiting_per_minute   : { type: Number, default: 0, min: 0 },
+  rounding       : {
+    mode : { type: String, enum: ["none", "nearest", "up", "down"], default: "nearest" },
+    step : { type: Number, default: 1, min: 0 }
+  },
+  // The newest active version whose effective_from has passed is the one in effect
+  effective_from : { type: Date, required: true },
+  // Cleared when an admin retires a version that was already in effect
+  active         : { type: Boolean, default: true },
+  created_by     : { type: mongoose.Schema.Types.ObjectId, default: null }
+
+}, { timestamps: true });
+
+tariffSchema.index({ active: 1, effective_from: -1 });
+
+module.exports = mongoose.model("Tariff", tariffSchema);
@@ -27,9 +27,10 @@ const userSchema = new mongoose.Schema({
     enum: ["USER", "ADMIN"],
     default: "USER"
   },
-  socketId: {
-    type: String,
-    default: null
+  // One entry per open socket, see Services/presenceService
+  socketIds: {
+    type: [String],
+    default: []
   },
   isActive: {
     type: Boolean,
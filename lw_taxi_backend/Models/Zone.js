@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// An admin-drawn area with pricing rules, see Services/zoneService.
+// Bookings keep a copy of the rules they were quoted under, so zones can be
+// edited or deleted without changing fares already agreed.
+const zoneSchema = new mongoose.Schema({
+  name            : { type: String, required: true, trim: true },
+  // GeoJSON polygon, rings as [lng, lat] positions
+  area            : {
+    type        : { type: String, enum: ["Polygon"], required: true },
+    coordinates : { type: [[[Number]]], required: true }
+  },
+  // Rides may not start or end inside the zone
+  no_service      : { type: Boolean, default: false },
+  // Rs added to rides starting or ending inside the zone
+  pickup_surcharge: { type: Number, default: 0, min: 0 },
+  drop_surcharge  : { type: Number, default: 0, min: 0 },
+  // Flat fares, instead of the tariff, for rides from this zone to another
+  fixed_fares     : [{
+    to_zone : { type: mongoose.Schema.Types.ObjectId, ref: "Zone", required: true },
+    fare    : { type: Number, required: true, min: 0 },
+    _id     : false
+  }],
+  active          : { type: Boolean, default: true },
+  created_by      : { type: mongoose.Schema.Types.ObjectId, default: null }
+
+}, { timestamps: true });
+
+zoneSchema.index({ area: "2dsphere" });
+
+module.exports = mongoose.model("Zone", zoneSchema);
@@ -6,12 +6,18 @@ const bookingController = require("../Controllers/bookingController");
 
 router.get("/history/all", authMiddleware, bookingController.getUserBookings);
 router.get("/admin/all", authMiddleware, bookingController.getAllBookings);
+router.get("/pending", authMiddleware, bookingController.getPendingBookings);
 
 
 router.get("/:bookingId", authMiddleware, bookingController.getBookingStatus);
+router.get("/:bookingId/status", authMiddleware, bookingController.getBookingStatus);
+router.patch("/:bookingId/accept", authMiddleware, bookingController.acceptBooking);
+router.patch("/:bookingId/decline", authMiddleware, bookingController.declineBooking);
 router.patch("/:bookingId/status", authMiddleware, bookingController.updateBookingStatus);
+router.patch("/:bookingId/waiting", authMiddleware, bookingController.updateWaiting);
 router.patch("/:bookingId/cancel", authMiddleware, bookingController.cancelBooking);
 router.patch("/:bookingId/payment", authMiddleware, bookingController.updatePaymentStatus); 
+router.post("/quote", authMiddleware, bookingController.quoteFare);
 router.post("/", authMiddleware, bookingController.createBooking);
 
 module.exports = router;
\ No newline at end of file
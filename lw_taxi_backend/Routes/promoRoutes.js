@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const authMiddleware = require("../Middleware/authMiddleware");
+const adminMiddleware = require("../Middleware/adminMiddleware");
+const promoController = require("../Controllers/promoController");
+
+router.post("/validate", authMiddleware, promoController.validatePromo);
+
+router.get("/", authMiddleware, adminMiddleware, promoController.getPromos);
+router.post("/", authMiddleware, adminMiddleware, promoController.createPromo);
+router.put("/:promoId", authMiddleware, adminMiddleware, promoController.updatePromo);
+router.delete("/:promoId", authMiddleware, adminMiddleware, promoController.deletePromo);
+router.get("/:promoId/redemptions", authMiddleware, adminMiddleware, promoController.getRedemptions);
+
+module.exports = router;
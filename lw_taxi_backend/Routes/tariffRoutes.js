@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const authMiddleware = require("../Middleware/authMiddleware");
+const adminMiddleware = require("../Middleware/adminMiddleware");
+const tariffController = require("../Controllers/tariffController");
+
+router.get("/current", authMiddleware, tariffController.getCurrentTariff);
+
+router.get("/", authMiddleware, adminMiddleware, tariffController.getTariffs);
+router.post("/", authMiddleware, adminMiddleware, tariffController.createTariff);
+router.put("/:tariffId", authMiddleware, adminMiddleware, tariffController.updateTariff);
+router.delete("/:tariffId", authMiddleware, adminMiddleware, tariffController.deleteTariff);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const authMiddleware = require("../Middleware/authMiddleware");
+const adminMiddleware = require("../Middleware/adminMiddleware");
+const zoneController = require("../Controllers/zoneController");
+
+router.get("/", authMiddleware, adminMiddleware, zoneController.getZones);
+router.post("/", authMiddleware, adminMiddleware, zoneController.createZone);
+router.put("/:zoneId", authMiddleware, adminMiddleware, zoneController.updateZone);
+router.delete("/:zoneId", authMiddleware, adminMiddleware, zoneController.deleteZone);
+
+module.exports = router;
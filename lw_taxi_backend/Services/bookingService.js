@@ -1,5 +1,13 @@
 const Booking = require("../Models/Booking"); 
+const serviceError = require("./serviceError");
+const schedulingConfig = require("../Config/scheduling");
 
+// Rider and driver fields a booking may carry to the other party and to admins.
+// Never populate them without a select: the documents hold password hashes.
+exports.PARTIES_POPULATE = [
+    { path: "user", select: "name mobile email" },
+    { path: "assigned_driver", select: "name mobile vehicle_number location" }
+];
 
 exports.createBooking = async (bookingData) => {
     try {
@@ -10,7 +18,18 @@ exports.createBooking = async (bookingData) => {
     distance_km: bookingData.distance_km,
     time_minutes: bookingData.time_minutes, 
     estimated_fare: bookingData.estimated_fare,
-    status: 'DRIVER_PENDING'
+    tariff: bookingData.tariff || null,
+    surge_multiplier: bookingData.surge_multiplier || 1,
+    surge_reason: bookingData.surge_reason || null,
+    fixed_fare: bookingData.fixed_fare || null,
+    surcharges: bookingData.surcharges || [],
+    promo: bookingData.promo || null,
+    discount: bookingData.discount || 0,
+    pickup_location: bookingData.pickup_location,
+    dropoff_location: bookingData.dropoff_location,
+    scheduled_at: bookingData.scheduled_at || null,
+    status: bookingData.status,
+    status_history: [{ from: null, to: bookingData.status, actor: 'rider', actor_id: bookingData.user }]
 });
 
 
@@ -29,4 +48,32 @@ exports.getBookingById = async (bookingId) => {
         throw new Error("Booking not found.");
     }
     return booking;
-};
\ No newline at end of file
+};
+
+
+// Works out whether a requested pickup time makes this an advance booking.
+// Rides due within the dispatch lead time are dispatched straight away.
+exports.resolveSchedule = (scheduledAt) => {
+    if (!scheduledAt) {
+        return { status: 'DRIVER_PENDING', scheduled_at: null };
+    }
+
+    const pickupTime = new Date(scheduledAt);
+    if (Number.isNaN(pickupTime.getTime())) {
+        throw serviceError("INVALID_SCHEDULE", "scheduledAt must be a valid date and time");
+    }
+
+    const now = Date.now();
+    if (pickupTime.getTime() < now) {
+        throw serviceError("INVALID_SCHEDULE", "Scheduled pickup time is in the past");
+    }
+    if (pickupTime.getTime() > now + schedulingConfig.maxAdvanceDays * 24 * 60 * 60 * 1000) {
+        throw serviceError("INVALID_SCHEDULE", `Rides can be booked at most ${schedulingConfig.maxAdvanceDays} days ahead`);
+    }
+
+    const dispatchNow = pickupTime.getTime() - now <= schedulingConfig.dispatchLeadMinutes * 60 * 1000;
+    return {
+        status: dispatchNow ? 'DRIVER_PENDING' : 'SCHEDULED',
+        scheduled_at: pickupTime
+    };
+};
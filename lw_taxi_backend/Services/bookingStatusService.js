@@ -0,0 +1,110 @@
+const Booking = require("../Models/Booking");
+const serviceError = require("./serviceError");
+
+// Every allowed status change: from -> to -> actors that may make it.
+// Same-status entries are re-offers by dispatch; they are allowed but not
+// recorded in status_history since the status does not actually change.
+const TRANSITIONS = {
+  SCHEDULED: {
+    DRIVER_PENDING: ["system", "admin"],
+    NO_DRIVER_AVAILABLE: ["system"],
+    CANCELLED: ["rider", "admin"]
+  },
+  DRIVER_PENDING: {
+    DRIVER_PENDING: ["system"],
+    DRIVER_ASSIGNED: ["driver"],
+    NO_DRIVER_AVAILABLE: ["system"],
+    CANCELLED: ["rider", "admin"]
+  },
+  NO_DRIVER_AVAILABLE: {
+    NO_DRIVER_AVAILABLE: ["system"],
+    DRIVER_PENDING: ["system", "admin"],
+    CANCELLED: ["rider", "admin", "system"]
+  },
+  DRIVER_ASSIGNED: {
+    ARRIVED: ["driver", "admin"],
+    ONGOING: ["driver", "admin"],
+    CANCELLED: ["rider", "admin"]
+  },
+  // Driver waiting at the pickup, see Services/waitingService
+  ARRIVED: {
+    ONGOING: ["driver", "admin"],
+    CANCELLED: ["rider", "admin"]
+  },
+  ONGOING: {
+    FINISHED: ["driver", "admin"],
+    CANCELLED: ["admin"]
+  },
+  FINISHED: {},
+  CANCELLED: {}
+};
+
+// Stamped when a booking enters the status
+const STATUS_TIMESTAMPS = {
+  ARRIVED: "arrived_at",
+  ONGOING: "started_at",
+  FINISHED: "finished_at"
+};
+
+const ROLE_ACTORS = {
+  ADMIN: "admin",
+  DRIVER: "driver",
+  USER: "rider",
+  GUEST: "rider"
+};
+
+exports.TRANSITIONS = TRANSITIONS;
+
+// Maps req.user.role from the JWT onto a transition actor.
+exports.actorForRole = (role) => ROLE_ACTORS[role] || "rider";
+
+exports.canTransition = (from, to, actor) =>
+  Boolean(TRANSITIONS[from]?.[to]?.includes(actor));
+
+
+// Moves a booking to `to` on behalf of `actor`, atomically.
+// The update only applies while the booking is still in the status the check
+// was made against (`from`, or the one read from the database) and matches the
+// optional extra `filter`. Any `update` operators are applied in the same write,
+// `options` (e.g. arrayFilters) are passed through to it.
+exports.transition = async (bookingId, to, { actor, actorId = null, from, filter = {}, update = {}, options = {} }) => {
+  if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, to)) {
+    throw serviceError("INVALID_STATUS", `Invalid status: ${to}. Valid values are: ${Object.keys(TRANSITIONS).join(", ")}`);
+  }
+
+  let current = from;
+  if (!current) {
+    const booking = await Booking.findById(bookingId).select("status");
+    if (!booking) throw serviceError("BOOKING_NOT_FOUND", "Booking not found");
+    current = booking.status;
+  }
+
+  if (!exports.canTransition(current, to, actor)) {
+    throw serviceError("INVALID_TRANSITION", `A ${actor} cannot move a booking from ${current} to ${to}`);
+  }
+
+  const { $set = {}, $push = {}, ...rest } = update;
+  const changes = { ...rest, $set: { ...$set, status: to } };
+
+  if (current !== to) {
+    if (STATUS_TIMESTAMPS[to]) changes.$set[STATUS_TIMESTAMPS[to]] = new Date();
+    changes.$push = {
+      ...$push,
+      status_history: { from: current, to, actor, actor_id: actorId, at: new Date() }
+    };
+  } else if (Object.keys($push).length) {
+    changes.$push = $push;
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { ...filter, _id: bookingId, status: current },
+    changes,
+    { ...options, new: true }
+  );
+
+  if (!updated) {
+    throw serviceError("STATUS_CONFLICT", "Booking changed while it was being updated, please retry");
+  }
+
+  return updated;
+};
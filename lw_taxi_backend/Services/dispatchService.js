@@ -0,0 +1,459 @@
+const Driver = require("../Models/Driver");
+const Booking = require("../Models/Booking");
+const dispatchConfig = require("../Config/dispatch");
+const bookingStatusService = require("./bookingStatusService");
+const serviceError = require("./serviceError");
+const notificationService = require("./notificationService");
+const rooms = require("./socketRooms");
+const dispatchStrategies = require("./dispatchStrategies");
+const { withinRadius } = require("./geoService");
+
+
+const availableDriverFilter = (excludeDriverIds = []) => {
+  const filter = {
+    isAvailable: true,
+    status: "AVAILABLE",
+    // Connected on at least one device
+    "socketIds.0": { $exists: true }
+  };
+  if (excludeDriverIds.length) {
+    filter._id = { $nin: excludeDriverIds };
+  }
+  return filter;
+};
+
+
+// Available drivers for a pickup, ordered by the configured dispatch strategy.
+exports.findCandidates = async (pickupLocation, { excludeDriverIds = [], limit = dispatchConfig.claimAttempts } = {}) => {
+  const strategy = dispatchStrategies.getStrategy();
+  return await strategy(pickupLocation, availableDriverFilter(excludeDriverIds), limit);
+};
+
+
+// Open bookings still looking for a driver versus drivers free to take them,
+// near the pickup when it is known. Feeds the demand surge in pricingRules.
+exports.demandAndSupply = async (pickupLocation) => {
+  const nearPickup = (field) => Array.isArray(pickupLocation?.coordinates)
+    ? { [field]: withinRadius(pickupLocation, dispatchConfig.searchRadiusKm) }
+    : {};
+
+  const [pending, available] = await Promise.all([
+    Booking.countDocuments({ status: "DRIVER_PENDING", ...nearPickup("pickup_location") }),
+    Driver.countDocuments({ ...availableDriverFilter(), ...nearPickup("location") })
+  ]);
+  return { pending, available };
+};
+
+
+// Drivers who were already offered this booking, whether they rejected it or
+// let the offer lapse, are never asked again.
+const offeredDriverIds = (booking) =>
+  (booking.offers || []).map((offer) => offer.driver);
+
+
+// Raised by bookingStatusService when the booking moved on underneath us
+const TRANSITION_ERRORS = ["INVALID_TRANSITION", "STATUS_CONFLICT"];
+
+
+// Walks the strategy's candidates and flips the first one still available to
+// unavailable in one conditional update, so two bookings can never claim the
+// same driver.
+exports.claimNextDriver = async (pickupLocation, { excludeDriverIds = [] } = {}) => {
+  const candidates = await exports.findCandidates(pickupLocation, { excludeDriverIds });
+
+  for (const candidate of candidates) {
+    const claimed = await Driver.findOneAndUpdate(
+      { _id: candidate._id, isAvailable: true, status: "AVAILABLE" },
+      { isAvailable: false },
+      { new: true }
+    );
+    if (claimed) return claimed;
+
+    // Another booking got there first, try the next candidate
+  }
+
+  return null;
+};
+
+
+// Puts a claimed driver back into the pool if they are still idle.
+const releaseDriver = async (driverId) =>
+  await Driver.findOneAndUpdate(
+    { _id: driverId, status: "AVAILABLE", isAvailable: false },
+    { isAvailable: true },
+    { new: true }
+  );
+
+
+const emitRideRequest = (io, driver, offered, booking) => {
+  if (!io) return;
+
+  console.log(`Offering booking ${offered._id} to driver ${driver.name}`);
+  notificationService.send(io, rooms.driver(driver._id), "new_ride_request", {
+    _id: offered._id,
+    pickup: offered.pickup,
+    drop: offered.drop,
+    distance_km: offered.distance_km,
+    time_minutes: offered.time_minutes,
+    estimated_fare: offered.estimated_fare,
+    user: booking.user?._id || booking.user,
+    status: offered.status,
+    offer_expires_at: offered.offer_expires_at
+  });
+};
+
+
+// Offers the booking to an already claimed driver and sends them new_ride_request.
+// Only bookings without an outstanding offer are touched, so a cancelled or
+// already accepted booking is never re-offered; the driver is released then.
+const sendOffer = async (io, booking, driver) => {
+  const expiresAt = new Date(Date.now() + dispatchConfig.offerTimeoutSeconds * 1000);
+
+  let offered;
+  try {
+    offered = await bookingStatusService.transition(booking._id, "DRIVER_PENDING", {
+      actor: "system",
+      filter: { offer_expires_at: null },
+      update: {
+        $set: { assigned_driver: driver._id, offer_expires_at: expiresAt, dispatch_mode: "SEQUENTIAL" },
+        $push: { offers: { driver: driver._id, expires_at: expiresAt } }
+      }
+    });
+  } catch (err) {
+    await releaseDriver(driver._id);
+    if (!TRANSITION_ERRORS.includes(err.code)) throw err;
+    return null;
+  }
+
+  await Driver.updateOne(
+    { _id: driver._id },
+    { $set: { lastOfferedAt: new Date() }, $inc: { offersReceived: 1 } }
+  );
+
+  emitRideRequest(io, driver, offered, booking);
+
+  return offered;
+};
+
+
+// Offers the booking to several drivers at once. Nobody is claimed up front:
+// the drivers stay in the pool and the first one to accept wins, see acceptOffer.
+const broadcastOffer = async (io, booking, drivers) => {
+  const expiresAt = new Date(Date.now() + dispatchConfig.offerTimeoutSeconds * 1000);
+
+  let offered;
+  try {
+    offered = await bookingStatusService.transition(booking._id, "DRIVER_PENDING", {
+      actor: "system",
+      filter: { offer_expires_at: null },
+      update: {
+        $set: { assigned_driver: null, offer_expires_at: expiresAt, dispatch_mode: "BROADCAST" },
+        $push: { offers: { $each: drivers.map((driver) => ({ driver: driver._id, expires_at: expiresAt })) } }
+      }
+    });
+  } catch (err) {
+    if (!TRANSITION_ERRORS.includes(err.code)) throw err;
+    return null;
+  }
+
+  await Driver.updateMany(
+    { _id: { $in: drivers.map((driver) => driver._id) } },
+    { $set: { lastOfferedAt: new Date() }, $inc: { offersReceived: 1 } }
+  );
+
+  for (const driver of drivers) {
+    emitRideRequest(io, driver, offered, booking);
+  }
+
+  return offered;
+};
+
+
+// Offers the booking to the next driver picked by the dispatch strategy, or in
+// broadcast mode to the top broadcastSize candidates, else marks it NO_DRIVER_AVAILABLE.
+// Each offer carries an expiry; the offer expiry job re-offers it once that lapses.
+// Returns the updated booking, the claimed driver (sequential mode only) and
+// every driver the ride was offered to.
+exports.offerBooking = async (io, booking, { excludeDriverIds = [] } = {}) => {
+  const broadcast = dispatchConfig.mode === "broadcast";
+  const exclude = [...excludeDriverIds, ...offeredDriverIds(booking)];
+
+  const drivers = broadcast
+    ? await exports.findCandidates(booking.pickup_location, {
+      excludeDriverIds: exclude,
+      limit: dispatchConfig.broadcastSize
+    })
+    : [await exports.claimNextDriver(booking.pickup_location, { excludeDriverIds: exclude })].filter(Boolean);
+
+  if (!drivers.length) {
+    console.log("No available drivers found for booking:", booking._id);
+    try {
+      // $min keeps the time the rider first started waiting across retries
+      const updated = await bookingStatusService.transition(booking._id, "NO_DRIVER_AVAILABLE", {
+        actor: "system",
+        filter: { offer_expires_at: null },
+        update: { $set: { assigned_driver: null }, $min: { waiting_since: new Date() } }
+      });
+      return { booking: updated, driver: null, drivers: [] };
+    } catch (err) {
+      if (!TRANSITION_ERRORS.includes(err.code)) throw err;
+      return { booking: await Booking.findById(booking._id), driver: null, drivers: [] };
+    }
+  }
+
+  const offered = broadcast
+    ? await broadcastOffer(io, booking, drivers)
+    : await sendOffer(io, booking, drivers[0]);
+
+  if (!offered) {
+    return { booking: await Booking.findById(booking._id), driver: null, drivers: [] };
+  }
+
+  return { booking: offered, driver: broadcast ? null : drivers[0], drivers };
+};
+
+
+// Bookings left at NO_DRIVER_AVAILABLE that are still worth offering:
+// waiting less than the maximum wait and with a pickup this driver can reach.
+const waitingBookingsFilter = (driver) => {
+  const maxWaitMs = dispatchConfig.pendingDemandMaxWaitMinutes * 60 * 1000;
+  const filter = {
+    status: "NO_DRIVER_AVAILABLE",
+    waiting_since: { $gte: new Date(Date.now() - maxWaitMs) },
+    "offers.driver": { $ne: driver._id }
+  };
+
+  const withoutPickup = { "pickup_location.coordinates": { $exists: false } };
+  if (!Array.isArray(driver.location?.coordinates)) {
+    return { ...filter, ...withoutPickup };
+  }
+
+  filter.$or = [
+    { pickup_location: withinRadius(driver.location, dispatchConfig.searchRadiusKm) },
+    withoutPickup
+  ];
+  return filter;
+};
+
+
+// Pending-demand queue: when a driver becomes AVAILABLE, the oldest booking
+// still waiting for a driver is offered to them straight away.
+// Returns the offered booking, if any.
+exports.offerWaitingBooking = async (io, driverId) => {
+  const driver = await Driver.findOneAndUpdate(
+    { _id: driverId, isAvailable: true, status: "AVAILABLE" },
+    { isAvailable: false },
+    { new: true }
+  );
+  if (!driver) return null;
+
+  const waiting = await Booking.find(waitingBookingsFilter(driver))
+    .sort({ waiting_since: 1 })
+    .limit(dispatchConfig.claimAttempts);
+
+  for (const booking of waiting) {
+    const offered = await sendOffer(io, booking, driver);
+    if (!offered) {
+      // Picked up by someone else, claim the driver again for the next one
+      const reclaimed = await Driver.findOneAndUpdate(
+        { _id: driver._id, isAvailable: true, status: "AVAILABLE" },
+        { isAvailable: false }
+      );
+      if (!reclaimed) return null;
+      continue;
+    }
+
+    console.log(`Waiting booking ${offered._id} offered to driver ${driver.name} who just came online`);
+    notificationService.driverSearchResumed(io, offered);
+    return offered;
+  }
+
+  await releaseDriver(driver._id);
+  return null;
+};
+
+
+// Accepting only succeeds while this driver still holds a pending offer.
+// A second driver, or one whose offer already lapsed, gets RIDE_TAKEN.
+// Other drivers still holding a broadcast offer for the ride lose it (WITHDRAWN);
+// their ids are returned so they can be told the ride is gone.
+exports.acceptOffer = async (bookingId, driverId) => {
+  const pending = await Booking.findById(bookingId).select("dispatch_mode");
+  if (!pending) throw serviceError("BOOKING_NOT_FOUND", "Booking not found");
+  const broadcast = pending.dispatch_mode === "BROADCAST";
+
+  // Broadcast offers leave drivers in the pool, so the winner is only claimed
+  // here; a driver who meanwhile took another ride cannot accept this one.
+  if (broadcast) {
+    const claimed = await Driver.findOneAndUpdate(
+      { _id: driverId, isAvailable: true, status: "AVAILABLE" },
+      { isAvailable: false }
+    );
+    if (!claimed) throw serviceError("DRIVER_BUSY", "You are not available to take another ride");
+  }
+
+  const now = new Date();
+  let booking;
+  try {
+    booking = await bookingStatusService.transition(bookingId, "DRIVER_ASSIGNED", {
+      actor: "driver",
+      actorId: driverId,
+      from: "DRIVER_PENDING",
+      filter: { offers: { $elemMatch: { driver: driverId, outcome: "PENDING" } } },
+      update: {
+        $set: {
+          assigned_driver: driverId,
+          offer_expires_at: null,
+          "offers.$[won].outcome": "ACCEPTED",
+          "offers.$[won].responded_at": now,
+          "offers.$[lost].outcome": "WITHDRAWN",
+          "offers.$[lost].responded_at": now
+        }
+      },
+      options: {
+        arrayFilters: [
+          { "won.driver": driverId, "won.outcome": "PENDING" },
+          { "lost.driver": { $ne: driverId }, "lost.outcome": "PENDING" }
+        ]
+      }
+    });
+  } catch (err) {
+    if (broadcast) await releaseDriver(driverId);
+    if (!TRANSITION_ERRORS.includes(err.code)) throw err;
+    throw serviceError("RIDE_TAKEN", "This ride has already been taken");
+  }
+
+  const driver = await Driver.findByIdAndUpdate(
+    driverId,
+    { status: "BUSY", isAvailable: false, $inc: { offersAccepted: 1 } },
+    { new: true }
+  ).select("-password");
+
+  const withdrawnDriverIds = booking.offers
+    .filter((offer) => offer.outcome === "WITHDRAWN" && offer.responded_at?.getTime() === now.getTime())
+    .map((offer) => offer.driver);
+
+  return { booking, driver, withdrawnDriverIds };
+};
+
+
+// Records the rejection (or another outcome) on the offer. A sequentially
+// offered driver is freed; broadcast drivers were never claimed. Once no driver
+// holds a pending offer any more, offer_expires_at is cleared so the booking
+// can be offered again.
+// Fails with OFFER_WITHDRAWN when the driver no longer holds the offer.
+exports.declineOffer = async (bookingId, driverId, { outcome = "REJECTED" } = {}) => {
+  const declined = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      status: "DRIVER_PENDING",
+      offers: { $elemMatch: { driver: driverId, outcome: "PENDING" } }
+    },
+    {
+      $set: {
+        "offers.$.outcome": outcome,
+        "offers.$.responded_at": new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!declined) throw serviceError("OFFER_WITHDRAWN", "This ride is no longer offered to you");
+
+  if (declined.dispatch_mode !== "BROADCAST") {
+    await Driver.findByIdAndUpdate(driverId, { status: "AVAILABLE", isAvailable: true });
+  }
+
+  const settled = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      status: "DRIVER_PENDING",
+      offer_expires_at: declined.offer_expires_at,
+      "offers.outcome": { $ne: "PENDING" }
+    },
+    { $set: { assigned_driver: null, offer_expires_at: null } },
+    { new: true }
+  );
+
+  return settled || declined;
+};
+
+
+// Called once a booking's offer_expires_at has passed without an accept.
+// Lapsed drivers are told, sequentially offered ones are freed, and the ride
+// cascades to the next candidate(s).
+exports.expireOffer = async (io, bookingId, expiresAt) => {
+  const now = new Date();
+
+  const previous = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: "DRIVER_PENDING", offer_expires_at: expiresAt },
+    {
+      $set: {
+        "offers.$[offer].outcome": "EXPIRED",
+        "offers.$[offer].responded_at": now,
+        offer_expires_at: null,
+        assigned_driver: null
+      }
+    },
+    { arrayFilters: [{ "offer.outcome": "PENDING", "offer.expires_at": expiresAt }] }
+  );
+
+  // Accepted, cancelled or re-offered in the meantime
+  if (!previous) return null;
+
+  const lapsedDriverIds = previous.offers
+    .filter((offer) => offer.outcome === "PENDING" && offer.expires_at.getTime() === expiresAt.getTime())
+    .map((offer) => offer.driver);
+
+  if (previous.dispatch_mode !== "BROADCAST") {
+    for (const driverId of lapsedDriverIds) {
+      await releaseDriver(driverId);
+    }
+  }
+
+  if (lapsedDriverIds.length) {
+    notificationService.send(io, lapsedDriverIds.map(rooms.driver), "ride_request_expired", {
+      bookingId,
+      message: "Ride request expired"
+    });
+  }
+
+  console.log(`Offer for booking ${bookingId} expired, cascading to next driver`);
+  const { booking } = await exports.offerBooking(io, await Booking.findById(bookingId));
+
+  notificationService.bookingStatusChanged(io, booking);
+
+  return booking;
+};
+
+
+// Takes back every offer a driver still holds, e.g. once they stopped sending
+// heartbeats. Rides that were offered only to them cascade to the next driver
+// straight away instead of waiting for the offer to lapse.
+exports.withdrawDriverOffers = async (io, driverId) => {
+  const bookings = await Booking.find({
+    status: "DRIVER_PENDING",
+    offers: { $elemMatch: { driver: driverId, outcome: "PENDING" } }
+  }).select("_id dispatch_mode offer_expires_at");
+
+  for (const booking of bookings) {
+    if (booking.dispatch_mode !== "BROADCAST") {
+      await exports.expireOffer(io, booking._id, booking.offer_expires_at);
+      continue;
+    }
+
+    let withdrawn;
+    try {
+      withdrawn = await exports.declineOffer(booking._id, driverId, { outcome: "EXPIRED" });
+    } catch (err) {
+      if (err.code !== "OFFER_WITHDRAWN") throw err;
+      continue;
+    }
+
+    // Other drivers still hold the broadcast offer
+    if (withdrawn.offer_expires_at) continue;
+
+    const next = await exports.offerBooking(io, withdrawn);
+    notificationService.bookingStatusChanged(io, next.booking);
+  }
+};
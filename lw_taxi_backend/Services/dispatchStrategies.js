@@ -0,0 +1,94 @@
+const Driver = require("../Models/Driver");
+const dispatchConfig = require("../Config/dispatch");
+const { haversineKm, withinRadius } = require("./geoService");
+
+// Each strategy returns available drivers in the order they should be offered
+// the ride. `filter` already limits the query to available, connected drivers.
+// When the booking has pickup coordinates only drivers within the search
+// radius are considered; otherwise every available driver is a candidate.
+
+const hasPickup = (pickupLocation) => Array.isArray(pickupLocation?.coordinates);
+
+const inRadius = (pickupLocation, filter) =>
+  hasPickup(pickupLocation)
+    ? { ...filter, location: withinRadius(pickupLocation, dispatchConfig.searchRadiusKm) }
+    : filter;
+
+
+// Closest driver first
+const nearest = async (pickupLocation, filter, limit) => {
+  if (!hasPickup(pickupLocation)) {
+    return await Driver.find(filter).sort({ lastSeen: -1 }).limit(limit);
+  }
+
+  return await Driver.find({
+    ...filter,
+    location: {
+      $near: {
+        $geometry: pickupLocation,
+        $maxDistance: dispatchConfig.searchRadiusKm * 1000
+      }
+    }
+  }).limit(limit);
+};
+
+
+// Whoever has been waiting for a job the longest goes first
+const longestIdle = async (pickupLocation, filter, limit) =>
+  await Driver.find(inRadius(pickupLocation, filter))
+    .sort({ availableSince: 1, lastSeen: 1 })
+    .limit(limit);
+
+
+// Drivers take turns: the one offered a ride least recently goes first
+const roundRobin = async (pickupLocation, filter, limit) =>
+  await Driver.find(inRadius(pickupLocation, filter))
+    .sort({ lastOfferedAt: 1, availableSince: 1 })
+    .limit(limit);
+
+
+const acceptanceRate = (driver) =>
+  driver.offersReceived > 0 ? driver.offersAccepted / driver.offersReceived : 1;
+
+// Scores drivers on rating, acceptance rate and closeness using the configured weights
+const weighted = async (pickupLocation, filter, limit) => {
+  const { rating: ratingWeight, acceptance: acceptanceWeight, distance: distanceWeight } =
+    dispatchConfig.strategyWeights;
+
+  // Scored from the closest drivers, not whichever the query happens to return first
+  const candidates = await nearest(pickupLocation, filter, dispatchConfig.weightedPoolSize);
+
+  const score = (driver) => {
+    const ratingScore = (driver.rating ?? 5) / 5;
+    const closeness =
+      hasPickup(pickupLocation) && hasPickup(driver.location)
+        ? Math.max(0, 1 - haversineKm(pickupLocation, driver.location) / dispatchConfig.searchRadiusKm)
+        : 0;
+    return ratingWeight * ratingScore + acceptanceWeight * acceptanceRate(driver) + distanceWeight * closeness;
+  };
+
+  return candidates
+    .map((driver) => ({ driver, score: score(driver) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ driver }) => driver);
+};
+
+
+const STRATEGIES = {
+  "nearest": nearest,
+  "longest-idle": longestIdle,
+  "round-robin": roundRobin,
+  "weighted": weighted
+};
+
+exports.STRATEGIES = Object.keys(STRATEGIES);
+
+exports.getStrategy = (name = dispatchConfig.strategy) => {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    console.warn(`Unknown DISPATCH_STRATEGY "${name}", falling back to nearest`);
+    return STRATEGIES.nearest;
+  }
+  return strategy;
+};
@@ -1,5 +1,8 @@
 const Driver = require("../Models/Driver.js");
 const Booking = require("../Models/Booking.js");
+const dispatchService = require("./dispatchService.js");
+const serviceError = require("./serviceError.js");
+const notificationService = require("./notificationService.js");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 
@@ -40,49 +43,40 @@ class DriverService {
 
   async getPendingBookings(driverId) {
     return await Booking.find({
-      assigned_driver: driverId,
-      status: "DRIVER_PENDING"
+      status: "DRIVER_PENDING",
+      offers: { $elemMatch: { driver: driverId, outcome: "PENDING" } }
     });
   }
 
-  async handleBookingAction(driverId, bookingId, action) {
+  // Accept and reject are conditional updates, see dispatchService.
+  // Pass io to have a rejected ride offered to the next driver over the socket,
+  // and the other drivers of a broadcast offer told that the ride was taken.
+  async handleBookingAction(driverId, bookingId, action, io = null) {
     const booking = await Booking.findById(bookingId);
-    if (!booking) throw new Error("Booking not found");
-
-    if (!booking.assigned_driver || booking.assigned_driver.toString() !== driverId) {
-      throw new Error("This booking does not belong to this driver");
-    }
+    if (!booking) throw serviceError("BOOKING_NOT_FOUND", "Booking not found");
 
     if (action === "ACCEPT") {
-      booking.status = "ONGOING";
-      await booking.save();
+      const accepted = await dispatchService.acceptOffer(bookingId, driverId);
 
-      const driver = await Driver.findById(driverId);
-      driver.isAvailable = false;
-      await driver.save();
+      notificationService.rideTaken(io, accepted.booking, accepted.withdrawnDriverIds);
 
-      return { msg: "Booking Accepted", booking };
+      return { msg: "Booking Accepted", booking: accepted.booking, driver: accepted.driver };
     }
 
     if (action === "REJECT") {
-      booking.status = "DRIVER_PENDING";
-      booking.assigned_driver = null; 
-      await booking.save();
-
-      
-      const nextDriver = await Driver.findOne({ isAvailable: true });
-      if (nextDriver) {
-        booking.assigned_driver = nextDriver._id;
-        await booking.save();
-
-        nextDriver.isAvailable = false;
-        await nextDriver.save();
+      const declined = await dispatchService.declineOffer(bookingId, driverId);
+
+      // Other drivers still hold a broadcast offer for this ride
+      if (declined.offer_expires_at) {
+        return { msg: "Booking Rejected", booking: declined };
       }
 
-      return { msg: "Booking Rejected & Next Driver Assigned", booking };
+      const next = await dispatchService.offerBooking(io, declined);
+
+      return { msg: "Booking Rejected & Next Driver Assigned", booking: next.booking };
     }
 
-    throw new Error("Invalid action");
+    throw serviceError("INVALID_ACTION", "Invalid action");
   }
 }
 
@@ -0,0 +1,59 @@
+const presenceConfig = require("../Config/presence");
+
+// Short-lived outbox of the events sent to each personal room (see socketRooms).
+// Every event gets the next sequence number of its recipient, so a client that
+// reconnects can say which one it saw last and get the rest replayed.
+// Kept in memory: it only has to bridge a dropped connection, not a restart.
+
+const outboxes = new Map();
+
+const prune = (outbox) => {
+  const cutoff = Date.now() - presenceConfig.outboxTtlSeconds * 1000;
+  const firstKept = outbox.events.findIndex((entry) => entry.at >= cutoff);
+  outbox.events.splice(0, firstKept === -1 ? outbox.events.length : firstKept);
+
+  const overflow = outbox.events.length - presenceConfig.outboxMaxEvents;
+  if (overflow > 0) outbox.events.splice(0, overflow);
+};
+
+// Stores the event and returns its payload stamped with the sequence number.
+exports.record = (room, event, data) => {
+  let outbox = outboxes.get(room);
+  if (!outbox) {
+    outbox = { seq: 0, events: [] };
+    outboxes.set(room, outbox);
+  }
+
+  const payload = { ...data, seq: ++outbox.seq };
+  outbox.events.push({ seq: payload.seq, event, payload, at: Date.now() });
+  prune(outbox);
+
+  return payload;
+};
+
+exports.currentSeq = (room) => outboxes.get(room)?.seq || 0;
+
+// Events after lastSeq, oldest first, or null when they can no longer all be
+// replayed (expired, or this process restarted since) and a snapshot is needed.
+exports.since = (room, lastSeq) => {
+  const outbox = outboxes.get(room);
+  const current = outbox?.seq || 0;
+
+  if (lastSeq > current) return null;
+  if (lastSeq === current) return [];
+
+  prune(outbox);
+  const missed = outbox.events.filter((entry) => entry.seq > lastSeq);
+  if (!missed.length || missed[0].seq !== lastSeq + 1) return null;
+
+  return missed;
+};
+
+// Outboxes nobody wrote to for a while only hold their counter; drop them.
+const sweep = setInterval(() => {
+  for (const [room, outbox] of outboxes) {
+    prune(outbox);
+    if (!outbox.events.length) outboxes.delete(room);
+  }
+}, presenceConfig.outboxTtlSeconds * 1000);
+sweep.unref();
@@ -0,0 +1,228 @@
+const Booking = require("../Models/Booking");
+const tariffService = require("./tariffService");
+const waitingService = require("./waitingService");
+const promoService = require("./promoService");
+const pricingRules = require("./pricingRules");
+const zoneService = require("./zoneService");
+const fareConfig = require("../Config/fare");
+const schedulingConfig = require("../Config/scheduling");
+const serviceError = require("./serviceError");
+const { toGeoPoint, haversineKm } = require("./geoService");
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+const ROUNDERS = {
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor
+};
+
+const applyRounding = (amount, { mode = "none", step = 1 } = {}) => {
+  const round = ROUNDERS[mode];
+  if (!round || !(step > 0)) return toMoney(amount);
+  return toMoney(round(amount / step) * step);
+};
+
+// The tariff in effect now, or the configured default while none is stored
+exports.getActiveTariff = async () =>
+  (await tariffService.getTariffInEffect()) || fareConfig.defaultTariff;
+
+// Prices a trip under a tariff and surge multiplier. Each line of the
+// breakdown is in Rs; the minimum fare is applied after the surge and before
+// rounding, so the total always lands on a step.
+exports.calculateFare = (tariff, { distanceKm, durationMinutes }, multiplier = 1) => {
+  const base = toMoney(tariff.base_fare);
+  const distance = toMoney(distanceKm * tariff.per_km);
+  const time = toMoney(durationMinutes * tariff.per_minute);
+
+  const subtotal = toMoney(base + distance + time);
+  const surge = toMoney(subtotal * (multiplier - 1));
+  const surged = toMoney(subtotal + surge);
+  const minimumApplied = surged < tariff.minimum_fare;
+  const beforeRounding = minimumApplied ? tariff.minimum_fare : surged;
+  const total = applyRounding(beforeRounding, tariff.rounding);
+
+  return {
+    total,
+    breakdown: {
+      base,
+      distance,
+      time,
+      subtotal,
+      surge,
+      minimum_applied: minimumApplied,
+      rounding: toMoney(total - beforeRounding)
+    }
+  };
+};
+
+// Checks the route figures a client posts. Both ends are required, since the
+// driving distance can never be shorter than the straight line between them
+// and zone rules depend on where they are.
+const validateTrip = ({ distance, estimatedTime, pickupCoords, dropoffCoords }) => {
+  const distanceKm = Number(distance);
+  const durationMinutes = Number(estimatedTime);
+
+  if (!Number.isFinite(distanceKm) || distanceKm <= 0 || distanceKm > fareConfig.maxDistanceKm) {
+    throw serviceError("INVALID_ROUTE", `distance must be between 0 and ${fareConfig.maxDistanceKm} km`);
+  }
+  if (!Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+    throw serviceError("INVALID_ROUTE", "estimatedTime must be a positive number of minutes");
+  }
+  // The time is priced per minute, so it may not be shorter than the distance allows
+  const minimumMinutes = Math.floor((distanceKm / fareConfig.maxAverageSpeedKmh) * 60 * 100) / 100;
+  if (durationMinutes < minimumMinutes) {
+    throw serviceError("INVALID_ROUTE", `estimatedTime must be at least ${minimumMinutes} minutes for ${distanceKm} km`);
+  }
+
+  const pickup = toGeoPoint(pickupCoords);
+  const dropoff = toGeoPoint(dropoffCoords);
+  if (!pickup || !dropoff) {
+    throw serviceError("INVALID_ROUTE", "pickupCoords and dropoffCoords must be valid [lat, lng] pairs");
+  }
+  if (distanceKm < Math.floor(haversineKm(pickup, dropoff) * 100) / 100) {
+    throw serviceError("INVALID_ROUTE", "distance is shorter than the straight line between pickup and drop-off");
+  }
+
+  return { distanceKm, durationMinutes, pickup, dropoff };
+};
+
+// Pickup time of the trip, now unless a valid scheduledAt is given
+const pickupTime = (scheduledAt) => {
+  const at = scheduledAt ? new Date(scheduledAt) : null;
+  return at && !Number.isNaN(at.getTime()) ? at : new Date();
+};
+
+// A flat zone-to-zone fare, in the shape of a tariff breakdown
+const fixedFareBreakdown = (fare) => ({
+  base: 0,
+  distance: 0,
+  time: 0,
+  subtotal: 0,
+  surge: 0,
+  minimum_applied: false,
+  rounding: 0,
+  fixed_fare: fare
+});
+
+// Server-side fare for a route, under the active tariff and any surge rules
+// matching its pickup time. A flat fare between zones replaces both; zone
+// surcharges are added on top. Throws NO_SERVICE_ZONE for areas not served.
+// Resolves { estimatedFare, breakdown, tariff, surge, zones }.
+exports.quote = async (trip) => {
+  const { distanceKm, durationMinutes, pickup, dropoff } = validateTrip(trip);
+  const at = pickupTime(trip.scheduledAt);
+  // Rides dispatched within the lead time are dispatched now, see bookingService.resolveSchedule
+  const includeDemand = at.getTime() - Date.now() <= schedulingConfig.dispatchLeadMinutes * 60 * 1000;
+
+  const [zones, tariff, surge] = await Promise.all([
+    zoneService.evaluate(pickup, dropoff),
+    exports.getActiveTariff(),
+    pricingRules.evaluate({ at, pickupLocation: pickup, includeDemand })
+  ]);
+
+  const surcharge = zoneService.totalSurcharge(zones.surcharges);
+  if (zones.fixedFare) {
+    return {
+      estimatedFare: toMoney(zones.fixedFare.fare + surcharge),
+      breakdown: { ...fixedFareBreakdown(zones.fixedFare.fare), surcharge },
+      tariff,
+      surge: { multiplier: 1, reason: null },
+      zones
+    };
+  }
+
+  const { total, breakdown } = exports.calculateFare(tariff, { distanceKm, durationMinutes }, surge.multiplier);
+  return { estimatedFare: toMoney(total + surcharge), breakdown: { ...breakdown, surcharge }, tariff, surge, zones };
+};
+
+// Refuses a fare the client worked out itself when it differs from the quote.
+// Clients that post no fare simply get the server's.
+exports.verifyClientFare = (quote, clientFare) => {
+  if (clientFare == null || clientFare === "") return;
+
+  const fare = Number(clientFare);
+  if (!Number.isFinite(fare) || Math.abs(fare - quote.estimatedFare) > fareConfig.mismatchTolerance) {
+    const err = serviceError("FARE_MISMATCH", `The fare for this trip is Rs ${quote.estimatedFare.toFixed(2)}`);
+    err.estimatedFare = quote.estimatedFare;
+    err.surge = quote.surge;
+    throw err;
+  }
+};
+
+
+// Kilometres along a trail of GeoJSON coordinates
+const trailKm = (trail) =>
+  trail.slice(1).reduce(
+    (total, point, i) => total + haversineKm({ coordinates: trail[i].coordinates }, point),
+    0
+  );
+
+// Works out what the rider pays once a trip has FINISHED: the distance along
+// the driver's GPS trail and the time from start to finish, priced under the
+// tariff and surge the ride was quoted with, then held within the settlement
+// rules around the quote. A flat zone fare stands as quoted. Zone surcharges
+// and waiting are charged on top, and a promo discount comes off the result.
+// A booking is only settled once.
+exports.settleBooking = async (bookingId) => {
+  const booking = await Booking.findById(bookingId).select("+route_trail");
+  if (!booking) throw serviceError("BOOKING_NOT_FOUND", "Booking not found");
+  if (booking.status !== "FINISHED" || booking.final_fare != null) return Booking.findById(bookingId);
+
+  const tariff = (booking.tariff && await tariffService.getTariff(booking.tariff)) || fareConfig.defaultTariff;
+
+  const trail = booking.route_trail || [];
+  const fromGps = trail.length >= 2;
+  const distanceKm = fromGps ? toMoney(trailKm(trail)) : booking.distance_km;
+  // Time at stops is charged as waiting, not as driving time
+  const waited = waitingService.waitingMinutes(booking);
+  const durationMinutes = booking.started_at && booking.finished_at
+    ? Math.max(1, Math.ceil((booking.finished_at - booking.started_at - waited.stopsMs) / 60000))
+    : booking.time_minutes;
+
+  const { total, breakdown } = booking.fixed_fare
+    ? { total: booking.fixed_fare.fare, breakdown: fixedFareBreakdown(booking.fixed_fare.fare) }
+    : exports.calculateFare(tariff, { distanceKm, durationMinutes }, booking.surge_multiplier);
+
+  // The settlement rules hold the ride itself to its share of the quote
+  const surcharge = zoneService.totalSurcharge(booking.surcharges);
+  const quotedRide = toMoney(booking.estimated_fare - surcharge);
+  const { maxOverQuotePercent, floorAtQuote } = fareConfig.settlement;
+  const ceiling = toMoney(quotedRide * (1 + maxOverQuotePercent / 100));
+  const floor = floorAtQuote ? quotedRide : 0;
+  const rideFare = Math.min(Math.max(total, floor), ceiling);
+
+  const waitingMinutes = waited.pickup + waited.stops;
+  const freeWaitingMinutes = Math.min(waitingMinutes, tariff.waiting_free_minutes || 0);
+  const chargeableWaitingMinutes = waitingMinutes - freeWaitingMinutes;
+  const waiting = toMoney(chargeableWaitingMinutes * (tariff.waiting_per_minute || 0));
+  const grossFare = toMoney(rideFare + surcharge + waiting);
+  const discount = booking.promo ? promoService.discountFor(booking.promo, grossFare) : 0;
+  const finalFare = toMoney(grossFare - discount);
+
+  const settled = await Booking.findOneAndUpdate(
+    { _id: bookingId, final_fare: null },
+    {
+      final_fare: finalFare,
+      fare_breakdown: {
+        ...breakdown,
+        surcharge,
+        waiting_minutes: waitingMinutes,
+        free_waiting_minutes: freeWaitingMinutes,
+        chargeable_waiting_minutes: chargeableWaitingMinutes,
+        waiting,
+        discount,
+        cap_adjustment: toMoney(rideFare - total),
+        distance_km: distanceKm,
+        time_minutes: durationMinutes,
+        distance_source: fromGps ? "GPS" : "QUOTE"
+      }
+    },
+    { new: true }
+  );
+  // Settled by a concurrent request in the meantime
+  if (!settled) return Booking.findById(bookingId);
+
+  if (booking.promo) await promoService.settleForBooking(bookingId, grossFare, discount);
+  return settled;
+};
@@ -0,0 +1,34 @@
+// The frontend sends coordinates as Leaflet [lat, lng] pairs,
+// MongoDB stores GeoJSON points as [lng, lat].
+exports.toGeoPoint = (coords) => {
+  if (!Array.isArray(coords) || coords.length !== 2) return undefined;
+
+  const [lat, lng] = coords.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return undefined;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return undefined;
+
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+const EARTH_RADIUS_KM = 6378.1;
+exports.EARTH_RADIUS_KM = EARTH_RADIUS_KM;
+
+// Great-circle distance in km between two GeoJSON points.
+exports.haversineKm = (a, b) => {
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Mongo $geoWithin clause matching `field` within radiusKm of a GeoJSON point.
+exports.withinRadius = (point, radiusKm) => ({
+  $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] }
+});
@@ -0,0 +1,193 @@
+// Socket events shared by the socket handlers in server.js and the REST
+// controllers, so both paths notify riders, drivers and admins the same way.
+// Events only go to the rooms of the parties involved (see socketRooms);
+// admins follow everything through the separate ops_feed event.
+// Events to a personal room carry a sequence number and are kept in the
+// eventOutbox, so they can be replayed after a dropped connection.
+
+const rooms = require("./socketRooms");
+const eventOutbox = require("./eventOutbox");
+
+// Emits an event to the given rooms. Personal rooms each get their own
+// sequenced copy; shared rooms (booking watchers, admins) get the plain event,
+// minus the sockets already reached through a personal room.
+exports.send = (io, targets, event, data) => {
+  if (!io) return;
+
+  const all = [].concat(targets);
+  const personal = all.filter(rooms.isPersonal);
+  const shared = all.filter((room) => !rooms.isPersonal(room));
+
+  for (const room of personal) {
+    io.to(room).emit(event, eventOutbox.record(room, event, data));
+  }
+
+  if (shared.length) {
+    io.to(shared).except(personal).emit(event, data);
+  }
+};
+
+// Operations feed for the admin dashboard
+exports.opsFeed = (io, type, data) => {
+  if (!io) return;
+
+  exports.send(io, rooms.ADMINS, "ops_feed", { type, at: new Date(), ...data });
+};
+
+exports.bookingStatusChanged = (io, booking) => {
+  if (!io) return;
+
+  const update = {
+    bookingId: booking._id,
+    status: booking.status,
+    booking: exports.bookingSummary(booking)
+  };
+  exports.send(io, rooms.forBooking(booking), "booking_status_update", update);
+  exports.opsFeed(io, "booking_status", update);
+};
+
+exports.bookingRejected = exports.bookingStatusChanged;
+
+exports.driverStatusChanged = (io, driver) => {
+  if (!io || !driver) return;
+
+  const update = {
+    driverId: driver._id,
+    status: driver.status,
+    isAvailable: driver.isAvailable
+  };
+  exports.send(io, rooms.driver(driver._id), "driver_status_update", update);
+  exports.opsFeed(io, "driver_status", update);
+};
+
+// What the rider and admins see of an assigned driver
+exports.driverSummary = (driver) => driver && {
+  _id: driver._id,
+  name: driver.name,
+  mobile: driver.mobile,
+  vehicle_number: driver.vehicle_number,
+  location: driver.location
+};
+
+// A booking as it goes out to its parties: what the rider's screens show, with
+// the fare receipt once settled, but not other drivers' offers or the status
+// history. Populated rider and driver fields must already be limited, see
+// bookingService.PARTIES_POPULATE.
+exports.bookingSummary = (booking) => ({
+  _id: booking._id,
+  status: booking.status,
+  pickup: booking.pickup,
+  drop: booking.drop,
+  distance_km: booking.distance_km,
+  time_minutes: booking.time_minutes,
+  estimated_fare: booking.estimated_fare,
+  surge_multiplier: booking.surge_multiplier,
+  fixed_fare: booking.fixed_fare,
+  promo: booking.promo && { code: booking.promo.code },
+  discount: booking.discount,
+  final_fare: booking.final_fare,
+  fare_breakdown: booking.fare_breakdown,
+  pickup_location: booking.pickup_location,
+  dropoff_location: booking.dropoff_location,
+  scheduled_at: booking.scheduled_at,
+  user: booking.user,
+  assigned_driver: booking.assigned_driver
+});
+
+exports.bookingAccepted = (io, booking, driver) => {
+  if (!io) return;
+
+  exports.send(io, rooms.user(booking.user), "booking_confirmed", {
+    booking: exports.bookingSummary(booking),
+    driver: exports.driverSummary(driver),
+    message: `Driver ${driver?.name} accepted your ride!`
+  });
+
+  exports.bookingStatusChanged(io, booking);
+  exports.driverStatusChanged(io, driver);
+};
+
+// Live position of the driver on a ride. Too frequent for the ops feed, only the
+// booking's parties get it, and not sequenced: a stale position is not worth
+// replaying. Coordinates go out as Leaflet [lat, lng].
+exports.driverLocationChanged = (io, booking, driver, etaMinutes) => {
+  if (!io) return;
+
+  const [lng, lat] = driver.location.coordinates;
+  io.to(rooms.forBooking(booking)).emit("driver_location_update", {
+    bookingId: booking._id,
+    driverId: driver._id,
+    status: booking.status,
+    coords: [lat, lng],
+    heading: driver.heading,
+    etaMinutes,
+    at: driver.locationUpdatedAt
+  });
+};
+
+// The other drivers of a broadcast offer lost the race; their cards are removed.
+exports.rideTaken = (io, booking, driverIds) => {
+  if (!io || !driverIds.length) return;
+
+  exports.send(io, driverIds.map(rooms.driver), "ride_taken", {
+    bookingId: booking._id,
+    message: "Another driver accepted this ride"
+  });
+};
+
+// The rider cancelled: tells the assigned driver and every driver still holding an offer
+exports.rideCancelled = (io, booking, driverIds) => {
+  if (!io || !driverIds.length) return;
+
+  exports.send(io, driverIds.map(rooms.driver), "ride_cancelled", {
+    rideId: booking._id,
+    message: "Ride has been cancelled by user"
+  });
+};
+
+exports.paymentStatusChanged = (io, booking) => {
+  if (!io) return;
+
+  const update = { bookingId: booking._id, payment_status: booking.payment_status };
+  exports.send(io, rooms.forBooking(booking), "payment_status_update", update);
+  exports.opsFeed(io, "payment_status", update);
+};
+
+// A booking that was waiting with NO_DRIVER_AVAILABLE is being offered again.
+exports.driverSearchResumed = (io, booking, message = "A driver just came online and is being contacted for your ride.") => {
+  if (!io) return;
+
+  exports.send(io, rooms.user(booking.user), "driver_search_resumed", {
+    bookingId: booking._id,
+    status: booking.status,
+    message
+  });
+
+  exports.bookingStatusChanged(io, booking);
+};
+
+// A booking waited longer than the pending-demand limit and was cancelled.
+exports.bookingExpired = (io, booking) => {
+  if (!io) return;
+
+  exports.send(io, rooms.user(booking.user), "ride_cancelled", {
+    rideId: booking._id,
+    message: "We could not find a driver in time. Please try booking again."
+  });
+
+  exports.bookingStatusChanged(io, booking);
+};
+
+// Heads-up for an upcoming advance booking, sent to the rider's or the driver's room.
+exports.rideReminder = (io, room, booking, message) => {
+  if (!io || !room) return;
+
+  exports.send(io, room, "ride_reminder", {
+    bookingId: booking._id,
+    pickup: booking.pickup,
+    drop: booking.drop,
+    scheduledAt: booking.scheduled_at,
+    status: booking.status,
+    message
+  });
+};
@@ -0,0 +1,84 @@
+const User = require("../Models/User");
+const Driver = require("../Models/Driver");
+const presenceConfig = require("../Config/presence");
+const notificationService = require("./notificationService");
+
+// Every open socket of a user or driver is kept in their socketIds, so a second
+// tab or phone never overwrites the first. Someone only counts as offline once
+// their last socket is gone and stayed gone for the grace period.
+
+// Pending offline timers by identity; a reconnect within the grace period cancels it
+const offlineTimers = new Map();
+
+const isDriver = (identity) => identity.role === "DRIVER";
+const keyFor = (identity) => `${isDriver(identity) ? "driver" : "user"}:${identity.id}`;
+
+const cancelOfflineTimer = (key) => {
+  clearTimeout(offlineTimers.get(key));
+  offlineTimers.delete(key);
+};
+
+
+exports.socketConnected = async (identity, socketId) => {
+  cancelOfflineTimer(keyFor(identity));
+
+  if (isDriver(identity)) {
+    await Driver.updateOne(
+      { _id: identity.id },
+      { $addToSet: { socketIds: socketId }, $set: { lastSeen: new Date() } }
+    );
+  } else {
+    await User.updateOne({ _id: identity.id }, { $addToSet: { socketIds: socketId } });
+  }
+};
+
+
+// Only drivers waiting for work go OFFLINE; a driver on a ride stays BUSY so
+// a dropped connection does not disturb the trip.
+const markOffline = async (io, identity) => {
+  if (!isDriver(identity)) {
+    return console.log(`User ${identity.id} has no open sockets left`);
+  }
+
+  const driver = await Driver.findOneAndUpdate(
+    { _id: identity.id, socketIds: { $size: 0 }, status: "AVAILABLE" },
+    { status: "OFFLINE", isAvailable: false, availableSince: null },
+    { new: true }
+  ).select("-password");
+  if (!driver) return;
+
+  console.log(`Driver ${driver.name}(${identity.id}) is OFFLINE, no connection for ${presenceConfig.offlineGraceSeconds}s`);
+  notificationService.driverStatusChanged(io, driver);
+};
+
+
+exports.socketDisconnected = async (io, identity, socketId) => {
+  const Model = isDriver(identity) ? Driver : User;
+  const updated = await Model.findOneAndUpdate(
+    { _id: identity.id },
+    { $pull: { socketIds: socketId } },
+    { new: true }
+  ).select("socketIds");
+
+  // Still connected from another tab or device
+  if (!updated || updated.socketIds.length) return;
+
+  const key = keyFor(identity);
+  cancelOfflineTimer(key);
+
+  const timer = setTimeout(() => {
+    offlineTimers.delete(key);
+    markOffline(io, identity).catch((err) => console.error("Presence offline error:", err.message));
+  }, presenceConfig.offlineGraceSeconds * 1000);
+  timer.unref();
+  offlineTimers.set(key, timer);
+};
+
+
+// Socket ids do not survive a restart of this process: drop every id that is
+// not one of the sockets currently connected here.
+exports.reset = async (io) => {
+  const live = [...io.of("/").sockets.keys()];
+  await User.updateMany({}, { $pull: { socketIds: { $nin: live } } });
+  await Driver.updateMany({}, { $pull: { socketIds: { $nin: live } } });
+};
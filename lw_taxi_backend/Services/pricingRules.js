@@ -0,0 +1,93 @@
+const pricingConfig = require("../Config/pricing");
+const dispatchService = require("./dispatchService");
+
+// Surge rules applied on top of the tariff. Each rule returns
+// { multiplier, reason } when it applies to a ride, or null.
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Day of week, minutes past midnight and YYYY-MM-DD date on the hotel's clock
+const localClock = (at) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: pricingConfig.timeZone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }).formatToParts(at).map((part) => [part.type, part.value])
+  );
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes = 0] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// A window that crosses midnight belongs to the day it starts on,
+// so 02:00 on Saturday is still Friday night.
+const inWindow = (window, { day, minutes }) => {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start <= end) return window.days.includes(day) && minutes >= start && minutes < end;
+  return (window.days.includes(day) && minutes >= start) ||
+    (window.days.includes((day + 6) % 7) && minutes < end);
+};
+
+
+const timeWindowRule = (clock) => {
+  const matches = pricingConfig.timeWindows.filter((window) => inWindow(window, clock));
+  if (!matches.length) return null;
+
+  const top = matches.reduce((best, window) => (window.multiplier > best.multiplier ? window : best));
+  return { multiplier: top.multiplier, reason: top.name };
+};
+
+
+const holidayRule = (clock) => {
+  const holiday = pricingConfig.holidays.find(
+    (entry) => entry.date === clock.date || entry.date === clock.date.slice(5)
+  );
+  return holiday ? { multiplier: pricingConfig.holidayMultiplier, reason: holiday.name } : null;
+};
+
+
+const demandRule = async (pickupLocation) => {
+  const { pending, available } = await dispatchService.demandAndSupply(pickupLocation);
+  if (pending < pricingConfig.demandMinPending) return null;
+
+  const ratio = available ? pending / available : Infinity;
+  const tier = [...pricingConfig.demandTiers]
+    .sort((a, b) => b.ratio - a.ratio)
+    .find((entry) => ratio >= entry.ratio);
+  return tier ? { multiplier: tier.multiplier, reason: "High demand" } : null;
+};
+
+
+// Surge for a ride picked up at `at`. Demand only counts for rides that are
+// dispatched straight away; a scheduled ride is priced by its pickup time.
+// Resolves { multiplier, reason }, reason is null when no rule applies.
+exports.evaluate = async ({ at = new Date(), pickupLocation, includeDemand = true } = {}) => {
+  const clock = localClock(at);
+  const matched = [
+    timeWindowRule(clock),
+    holidayRule(clock),
+    includeDemand ? await demandRule(pickupLocation) : null
+  ].filter((rule) => rule && rule.multiplier > 1);
+
+  const compounded = matched.reduce((total, rule) => total * rule.multiplier, 1);
+  return {
+    multiplier: Math.round(Math.min(compounded, pricingConfig.maxMultiplier) * 100) / 100,
+    reason: matched.length ? matched.map((rule) => `${rule.reason} x${rule.multiplier}`).join(", ") : null
+  };
+};
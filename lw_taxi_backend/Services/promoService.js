@@ -0,0 +1,243 @@
+const PromoCode = require("../Models/PromoCode");
+const PromoRedemption = require("../Models/PromoRedemption");
+const PromoUsage = require("../Models/PromoUsage");
+const Booking = require("../Models/Booking");
+const serviceError = require("./serviceError");
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normaliseCode = (code) => String(code ?? "").trim().toUpperCase();
+
+// Rs off a fare under a promo, never more than the fare itself
+exports.discountFor = (promo, fare) => {
+  const raw = promo.discount_type === "PERCENT" ? (fare * promo.discount_value) / 100 : promo.discount_value;
+  const capped = promo.max_discount != null ? Math.min(raw, promo.max_discount) : raw;
+  return toMoney(Math.min(capped, fare));
+};
+
+
+// Checks a code for a rider and quoted fare without using it up.
+// Resolves { promo, discount }.
+exports.validate = async (code, userId, fare) => {
+  const promo = await PromoCode.findOne({ code: normaliseCode(code) }).lean();
+  if (!promo || !promo.active) throw serviceError("PROMO_INVALID", "This promo code is not valid");
+
+  const now = new Date();
+  if (promo.valid_from && promo.valid_from > now) {
+    throw serviceError("PROMO_NOT_ACTIVE", `This promo code is valid from ${promo.valid_from.toDateString()}`);
+  }
+  if (promo.valid_until && promo.valid_until < now) {
+    throw serviceError("PROMO_NOT_ACTIVE", "This promo code has expired");
+  }
+  if (fare < promo.min_fare) {
+    throw serviceError("PROMO_NOT_ELIGIBLE", `This promo code needs a fare of at least Rs ${promo.min_fare}`);
+  }
+  if (promo.global_limit != null && promo.redemption_count >= promo.global_limit) {
+    throw serviceError("PROMO_EXHAUSTED", "This promo code has been fully redeemed");
+  }
+
+  // Any booking still on, not only finished trips, so a first ride in progress counts.
+  // Bookings no driver was found for end up CANCELLED, see Jobs/pendingDemandJob.
+  const [usage, earlierTrips] = await Promise.all([
+    PromoUsage.findOne({ promo: promo._id, user: userId }).lean(),
+    promo.first_ride_only ? Booking.countDocuments({ user: userId, status: { $ne: "CANCELLED" } }) : 0
+  ]);
+  if ((usage?.count || 0) >= promo.per_user_limit) {
+    throw serviceError("PROMO_NOT_ELIGIBLE", "You have already used this promo code");
+  }
+  if (earlierTrips) {
+    throw serviceError("PROMO_NOT_ELIGIBLE", "This promo code is only valid on your first ride");
+  }
+
+  return { promo, discount: exports.discountFor(promo, fare) };
+};
+
+
+// Takes one of the rider's uses of a promo. The update only matches while the
+// rider is under the limit; once they reach it, the upsert collides with the
+// existing document on the unique index instead. A collision can also mean a
+// concurrent first use created the document, so it is retried once without upsert.
+const claimUserUse = async (promo, userId) => {
+  const underLimit = { promo: promo._id, user: userId, count: { $lt: promo.per_user_limit } };
+  const increment = { $inc: { count: 1 } };
+
+  try {
+    await PromoUsage.findOneAndUpdate(underLimit, increment, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    if (!await PromoUsage.findOneAndUpdate(underLimit, increment)) {
+      throw serviceError("PROMO_NOT_ELIGIBLE", "You have already used this promo code");
+    }
+  }
+};
+
+const releaseUserUse = (promoId, userId) =>
+  PromoUsage.updateOne({ promo: promoId, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+
+// Validates a code and takes one use off the rider's and the global limit,
+// atomically. Give the use back with release() when the booking cannot be created.
+exports.claim = async (code, userId, fare) => {
+  const applied = await exports.validate(code, userId, fare);
+  await claimUserUse(applied.promo, userId);
+
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: applied.promo._id,
+      active: true,
+      $or: [{ global_limit: null }, { $expr: { $lt: ["$redemption_count", "$global_limit"] } }]
+    },
+    { $inc: { redemption_count: 1 } }
+  );
+  if (!claimed) {
+    await releaseUserUse(applied.promo._id, userId);
+    throw serviceError("PROMO_EXHAUSTED", "This promo code has been fully redeemed");
+  }
+
+  return applied;
+};
+
+exports.release = (promoId, userId) => Promise.all([
+  PromoCode.updateOne({ _id: promoId, redemption_count: { $gt: 0 } }, { $inc: { redemption_count: -1 } }),
+  releaseUserUse(promoId, userId)
+]);
+
+exports.recordRedemption = ({ promo, discount }, booking) =>
+  PromoRedemption.create({
+    promo: promo._id,
+    code: promo.code,
+    user: booking.user,
+    booking: booking._id,
+    fare: booking.estimated_fare,
+    discount
+  });
+
+// A cancelled booking gives the rider their use of the code back
+exports.releaseForBooking = async (bookingId) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: bookingId, status: "APPLIED" },
+    { status: "RELEASED" },
+    { new: true }
+  );
+  if (redemption) await exports.release(redemption.promo, redemption.user);
+  return redemption;
+};
+
+// Records the discount actually given once the final fare is settled
+exports.settleForBooking = (bookingId, fare, discount) =>
+  PromoRedemption.updateOne({ booking: bookingId, status: "APPLIED" }, { status: "SETTLED", fare, discount });
+
+
+// Admin management
+
+const findPromo = async (promoId) => {
+  const promo = await PromoCode.findById(promoId).catch(() => null);
+  if (!promo) throw serviceError("PROMO_NOT_FOUND", "Promo code not found");
+  return promo;
+};
+
+const optionalNumber = (value, field, min) => {
+  if (value == null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    throw serviceError("INVALID_PROMO", `${field} must be a number of at least ${min}`);
+  }
+  return number;
+};
+
+const optionalDate = (value, field) => {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw serviceError("INVALID_PROMO", `${field} must be a valid date`);
+  return date;
+};
+
+// Picks the promo fields out of a request body and checks them.
+// `current` supplies the values an edit leaves out.
+const buildPromo = (body, current = {}) => {
+  const field = (name) => (body[name] !== undefined ? body[name] : current[name]);
+
+  const promo = {
+    code: normaliseCode(field("code")),
+    description: String(field("description") ?? "").trim(),
+    discount_type: field("discount_type"),
+    discount_value: optionalNumber(field("discount_value"), "discount_value", 0),
+    max_discount: optionalNumber(field("max_discount"), "max_discount", 0),
+    min_fare: optionalNumber(field("min_fare"), "min_fare", 0) ?? 0,
+    valid_from: optionalDate(field("valid_from"), "valid_from"),
+    valid_until: optionalDate(field("valid_until"), "valid_until"),
+    global_limit: optionalNumber(field("global_limit"), "global_limit", 1),
+    per_user_limit: optionalNumber(field("per_user_limit"), "per_user_limit", 1) ?? 1,
+    first_ride_only: Boolean(field("first_ride_only")),
+    active: field("active") ?? true
+  };
+
+  if (!/^[A-Z0-9_-]{3,20}$/.test(promo.code)) {
+    throw serviceError("INVALID_PROMO", "code must be 3-20 letters, digits, - or _");
+  }
+  if (!["PERCENT", "FIXED"].includes(promo.discount_type)) {
+    throw serviceError("INVALID_PROMO", "discount_type must be PERCENT or FIXED");
+  }
+  if (promo.discount_value == null) throw serviceError("INVALID_PROMO", "discount_value is required");
+  if (promo.discount_type === "PERCENT" && promo.discount_value > 100) {
+    throw serviceError("INVALID_PROMO", "A percentage discount cannot exceed 100");
+  }
+  if (promo.valid_from && promo.valid_until && promo.valid_until <= promo.valid_from) {
+    throw serviceError("INVALID_PROMO", "valid_until must be after valid_from");
+  }
+  promo.active = promo.active !== false && promo.active !== "false";
+
+  return promo;
+};
+
+exports.listPromos = () => PromoCode.find().sort({ createdAt: -1 }).lean();
+
+exports.createPromo = async (body, adminId) => {
+  try {
+    return await PromoCode.create({ ...buildPromo(body), created_by: adminId });
+  } catch (err) {
+    if (err.code === 11000) throw serviceError("PROMO_EXISTS", "A promo code with this code already exists");
+    throw err;
+  }
+};
+
+// The code itself is fixed once riders have used it, finance reconciles by it
+exports.updatePromo = async (promoId, body) => {
+  const current = await findPromo(promoId);
+  const data = buildPromo(body, current.toObject());
+
+  if (data.code !== current.code && await PromoRedemption.exists({ promo: promoId })) {
+    throw serviceError("PROMO_IN_USE", "The code of a promo that has been redeemed cannot change");
+  }
+
+  try {
+    return await PromoCode.findByIdAndUpdate(promoId, data, { new: true });
+  } catch (err) {
+    if (err.code === 11000) throw serviceError("PROMO_EXISTS", "A promo code with this code already exists");
+    throw err;
+  }
+};
+
+// A promo that was never redeemed is deleted, otherwise it is only
+// deactivated so its redemptions keep pointing at it.
+exports.deletePromo = async (promoId) => {
+  const promo = await findPromo(promoId);
+
+  if (!await PromoRedemption.exists({ promo: promoId })) {
+    await promo.deleteOne();
+    await PromoUsage.deleteMany({ promo: promoId });
+    return { deleted: true, promo };
+  }
+
+  promo.active = false;
+  await promo.save();
+  return { deleted: false, promo };
+};
+
+exports.listRedemptions = async (promoId) => {
+  await findPromo(promoId);
+  return PromoRedemption.find({ promo: promoId })
+    .populate("user", "name email")
+    .populate("booking", "pickup drop status estimated_fare final_fare createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+};
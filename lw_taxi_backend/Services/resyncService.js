@@ -0,0 +1,48 @@
+const Booking = require("../Models/Booking");
+const driverService = require("./driverService");
+const eventOutbox = require("./eventOutbox");
+const rooms = require("./socketRooms");
+
+const ACTIVE_STATUSES = ["SCHEDULED", "DRIVER_PENDING", "NO_DRIVER_AVAILABLE", "DRIVER_ASSIGNED", "ARRIVED", "ONGOING"];
+
+// Current state for a client whose missed events could not be replayed:
+// a rider's active bookings, or a driver's current ride and open offers.
+const snapshotFor = async ({ id, role }) => {
+  if (role !== "DRIVER") {
+    const bookings = await Booking.find({ user: id, status: { $in: ACTIVE_STATUSES } })
+      .populate("assigned_driver", "name mobile vehicle_number location")
+      .sort({ createdAt: -1 });
+    return { bookings, offers: [] };
+  }
+
+  const bookings = await Booking.find({ assigned_driver: id, status: { $in: ["DRIVER_ASSIGNED", "ARRIVED", "ONGOING"] } })
+    .populate("user", "name mobile");
+  const offers = await driverService.getPendingBookings(id);
+  return { bookings, offers };
+};
+
+
+// Called on every connection with the lastSeq from the handshake.
+// Missed events are replayed in order with replayed: true; when that is not
+// possible a state_snapshot is sent instead. A first connection (no lastSeq)
+// just learns the current sequence number through event_seq.
+exports.resync = async (socket, lastSeq) => {
+  const room = rooms.personal(socket.user);
+
+  if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+    return socket.emit("event_seq", { seq: eventOutbox.currentSeq(room) });
+  }
+
+  const missed = eventOutbox.since(room, lastSeq);
+  if (missed) {
+    for (const { event, payload } of missed) {
+      socket.emit(event, { ...payload, replayed: true });
+    }
+    if (missed.length) console.log(`Replayed ${missed.length} missed events to ${room}`);
+    return;
+  }
+
+  const snapshot = await snapshotFor(socket.user);
+  socket.emit("state_snapshot", { seq: eventOutbox.currentSeq(room), ...snapshot });
+  console.log(`Sent state snapshot to ${room}, last seen event ${lastSeq} is gone`);
+};
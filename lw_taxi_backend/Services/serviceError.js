@@ -0,0 +1,7 @@
+// Errors thrown by services carry a machine readable code next to the message,
+// so controllers and socket handlers can pick the right response.
+module.exports = function serviceError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
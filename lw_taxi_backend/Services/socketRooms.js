@@ -0,0 +1,34 @@
+// Socket.IO room names. Every socket joins the room of the identity in its token
+// on connect (admins also join ADMINS); booking rooms are joined explicitly with
+// join_booking, see server.js. Ids may be ObjectIds, strings or populated documents.
+
+const idOf = (ref) => String(ref?._id || ref);
+
+exports.ADMINS = "admins";
+
+exports.user = (userId) => `user:${idOf(userId)}`;
+
+exports.driver = (driverId) => `driver:${idOf(driverId)}`;
+
+exports.booking = (bookingId) => `booking:${idOf(bookingId)}`;
+
+// A single user's or driver's room; these get sequenced events, see eventOutbox
+exports.isPersonal = (room) => room.startsWith("user:") || room.startsWith("driver:");
+
+// The personal room of a socket's identity, from socket.user
+exports.personal = ({ id, role }) => (role === "DRIVER" ? exports.driver(id) : exports.user(id));
+
+// The rooms of a socket's own identity, from socket.user
+exports.forIdentity = ({ id, role }) => {
+  if (role === "DRIVER") return [exports.driver(id)];
+  if (role === "ADMIN") return [exports.user(id), exports.ADMINS];
+  return [exports.user(id)];
+};
+
+// Everyone involved in a booking: its watchers, the rider and the assigned driver
+exports.forBooking = (booking) => {
+  const rooms = [exports.booking(booking._id)];
+  if (booking.user) rooms.push(exports.user(booking.user));
+  if (booking.assigned_driver) rooms.push(exports.driver(booking.assigned_driver));
+  return rooms;
+};
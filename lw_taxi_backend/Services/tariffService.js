@@ -0,0 +1,129 @@
+const Tariff = require("../Models/Tariff");
+const serviceError = require("./serviceError");
+
+const PRICE_FIELDS = ["base_fare", "per_km", "per_minute", "minimum_fare", "waiting_free_minutes", "waiting_per_minute"];
+// Price fields a tariff may leave out
+const OPTIONAL_FIELDS = ["minimum_fare", "waiting_free_minutes", "waiting_per_minute"];
+const ROUNDING_MODES = ["none", "nearest", "up", "down"];
+
+// Allow for clock drift between the admin's browser and the server
+const EFFECTIVE_FROM_GRACE_MS = 60 * 1000;
+
+const inEffectFilter = (at) => ({ active: true, effective_from: { $lte: at } });
+
+// Picks the tariff fields out of a request body and checks them.
+// `current` supplies the values an edit leaves out.
+const buildTariff = (body, current = {}) => {
+  const tariff = { name: String(body.name ?? current.name ?? "").trim() };
+  if (!tariff.name) throw serviceError("INVALID_TARIFF", "name is required");
+
+  for (const field of PRICE_FIELDS) {
+    const value = Number(body[field] ?? current[field] ?? (OPTIONAL_FIELDS.includes(field) ? 0 : NaN));
+    if (!Number.isFinite(value) || value < 0) {
+      throw serviceError("INVALID_TARIFF", `${field} must be a number of at least 0`);
+    }
+    tariff[field] = value;
+  }
+
+  const rounding = { ...current.rounding, ...body.rounding };
+  tariff.rounding = {
+    mode: rounding.mode || "nearest",
+    step: Number(rounding.step ?? 1)
+  };
+  if (!ROUNDING_MODES.includes(tariff.rounding.mode)) {
+    throw serviceError("INVALID_TARIFF", `rounding.mode must be one of ${ROUNDING_MODES.join(", ")}`);
+  }
+  if (!Number.isFinite(tariff.rounding.step) || tariff.rounding.step < 0) {
+    throw serviceError("INVALID_TARIFF", "rounding.step must be a number of at least 0");
+  }
+
+  const effectiveFrom = body.effective_from ? new Date(body.effective_from) : current.effective_from || new Date();
+  if (Number.isNaN(effectiveFrom.getTime())) {
+    throw serviceError("INVALID_TARIFF", "effective_from must be a valid date");
+  }
+  // Backdating would reprice rides already quoted under the previous version
+  if (body.effective_from && effectiveFrom.getTime() < Date.now() - EFFECTIVE_FROM_GRACE_MS) {
+    throw serviceError("INVALID_TARIFF", "effective_from cannot be in the past");
+  }
+  tariff.effective_from = effectiveFrom;
+
+  return tariff;
+};
+
+const findTariff = async (tariffId) => {
+  const tariff = await Tariff.findById(tariffId).catch(() => null);
+  if (!tariff) throw serviceError("TARIFF_NOT_FOUND", "Tariff not found");
+  return tariff;
+};
+
+exports.getTariff = (tariffId) => Tariff.findById(tariffId).lean();
+
+// The version in effect at a moment, null while no tariff has been stored
+exports.getTariffInEffect = (at = new Date()) =>
+  Tariff.findOne(inEffectFilter(at)).sort({ effective_from: -1, version: -1 }).lean();
+
+// Every version, newest first, each labelled with its state:
+// SCHEDULED, IN_EFFECT, SUPERSEDED or RETIRED
+exports.listTariffs = async () => {
+  const [tariffs, inEffect] = await Promise.all([
+    Tariff.find().sort({ version: -1 }).lean(),
+    exports.getTariffInEffect()
+  ]);
+  const now = Date.now();
+
+  return tariffs.map((tariff) => ({
+    ...tariff,
+    state: !tariff.active ? "RETIRED"
+      : inEffect && tariff._id.equals(inEffect._id) ? "IN_EFFECT"
+      : tariff.effective_from.getTime() > now ? "SCHEDULED"
+      : "SUPERSEDED"
+  }));
+};
+
+// Publishes a new version; it takes over at effective_from (default now)
+exports.createTariff = async (body, adminId) => {
+  const data = buildTariff(body);
+  const latest = await Tariff.findOne().sort({ version: -1 }).select("version").lean();
+
+  try {
+    return await Tariff.create({ ...data, version: (latest?.version || 0) + 1, created_by: adminId });
+  } catch (err) {
+    // Two admins publishing at once raced for the same version number
+    if (err.code === 11000) throw serviceError("TARIFF_CONFLICT", "Another tariff was published at the same time, please retry");
+    throw err;
+  }
+};
+
+// Only versions that have not taken effect yet can be edited;
+// prices already quoted to riders change by publishing a new version.
+exports.updateTariff = async (tariffId, body) => {
+  const tariff = await findTariff(tariffId);
+  if (!tariff.active || tariff.effective_from <= new Date()) {
+    throw serviceError("TARIFF_IN_EFFECT", "This tariff has already taken effect, publish a new version instead");
+  }
+
+  const data = buildTariff(body, tariff.toObject());
+  const updated = await Tariff.findOneAndUpdate(
+    { _id: tariffId, effective_from: { $gt: new Date() } },
+    data,
+    { new: true }
+  );
+  if (!updated) throw serviceError("TARIFF_IN_EFFECT", "This tariff has already taken effect, publish a new version instead");
+  return updated;
+};
+
+// A scheduled version is deleted outright. One that has been in effect may
+// be referenced by bookings, so it is only retired and the previous version
+// takes over again.
+exports.deleteTariff = async (tariffId) => {
+  const tariff = await findTariff(tariffId);
+
+  if (tariff.effective_from > new Date()) {
+    await tariff.deleteOne();
+    return { deleted: true, tariff };
+  }
+
+  tariff.active = false;
+  await tariff.save();
+  return { deleted: false, tariff };
+};
@@ -0,0 +1,84 @@
+const Driver = require("../Models/Driver");
+const Booking = require("../Models/Booking");
+const trackingConfig = require("../Config/tracking");
+const serviceError = require("./serviceError");
+const notificationService = require("./notificationService");
+const { toGeoPoint, haversineKm } = require("./geoService");
+
+// While a ride is in these statuses the rider follows the driver on the map:
+// towards the pickup once assigned, towards the drop-off once ongoing.
+const ETA_TARGETS = {
+  DRIVER_ASSIGNED: "pickup_location",
+  ARRIVED: "pickup_location",
+  ONGOING: "dropoff_location"
+};
+
+const parseHeading = (heading) => {
+  const value = Number(heading);
+  return heading != null && Number.isFinite(value) && value >= 0 && value < 360 ? value : null;
+};
+
+// Whole minutes to cover the straight-line distance at the average speed
+exports.etaMinutes = (from, to) =>
+  Math.max(1, Math.round((haversineKm(from, to) / trackingConfig.averageSpeedKmh) * 60));
+
+
+// Stores a live position sent by a driver and forwards it to the parties of
+// the ride they are on. Payload: { coords: [lat, lng], heading, accuracy }.
+// Updates that are malformed, too frequent, too inaccurate or imply an
+// impossible speed are refused with a serviceError.
+exports.updateDriverLocation = async (io, driverId, { coords, heading, accuracy } = {}) => {
+  const location = toGeoPoint(coords);
+  if (!location) throw serviceError("INVALID_LOCATION", "coords must be a [lat, lng] pair");
+
+  if (accuracy != null && !(Number(accuracy) <= trackingConfig.maxAccuracyMeters)) {
+    throw serviceError("INACCURATE_LOCATION", `Location accuracy must be within ${trackingConfig.maxAccuracyMeters}m`);
+  }
+
+  const previous = await Driver.findById(driverId).select("location locationUpdatedAt");
+  if (!previous) throw serviceError("DRIVER_NOT_FOUND", "Driver not found");
+
+  const now = new Date();
+  if (previous.locationUpdatedAt) {
+    const elapsedMs = now - previous.locationUpdatedAt;
+    if (elapsedMs < trackingConfig.minUpdateIntervalMs) {
+      throw serviceError("THROTTLED", "Location updates are too frequent");
+    }
+
+    if (Array.isArray(previous.location?.coordinates)) {
+      const speedKmh = haversineKm(previous.location, location) / (elapsedMs / 3600000);
+      if (speedKmh > trackingConfig.maxSpeedKmh) {
+        throw serviceError("IMPLAUSIBLE_LOCATION", "Location jumped further than the driver could have travelled");
+      }
+    }
+  }
+
+  // Conditional on the timestamp read above, so two concurrent updates cannot both pass the throttle
+  const driver = await Driver.findOneAndUpdate(
+    { _id: driverId, locationUpdatedAt: previous.locationUpdatedAt },
+    { location, locationUpdatedAt: now, heading: parseHeading(heading), lastSeen: now },
+    { new: true }
+  ).select("location locationUpdatedAt heading");
+  if (!driver) throw serviceError("THROTTLED", "Location updates are too frequent");
+
+  const booking = await Booking.findOne({
+    assigned_driver: driverId,
+    status: { $in: Object.keys(ETA_TARGETS) }
+  }).select("user assigned_driver status pickup_location dropoff_location");
+
+  // The trail prices the trip once it finishes, see fareService.settleBooking
+  if (booking?.status === "ONGOING") {
+    await Booking.updateOne(
+      { _id: booking._id, status: "ONGOING" },
+      { $push: { route_trail: { $each: [{ coordinates: location.coordinates, at: now }], $slice: -trackingConfig.maxTrailPoints } } }
+    );
+  }
+
+  if (booking) {
+    const target = booking[ETA_TARGETS[booking.status]];
+    const etaMinutes = Array.isArray(target?.coordinates) ? exports.etaMinutes(location, target) : null;
+    notificationService.driverLocationChanged(io, booking, driver, etaMinutes);
+  }
+
+  return { driver, booking };
+};
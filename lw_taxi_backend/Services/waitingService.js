@@ -0,0 +1,58 @@
+const Booking = require("../Models/Booking");
+const serviceError = require("./serviceError");
+
+// Drivers are paid for waiting: at the pickup from ARRIVED until the trip
+// starts, and at stops they mark while the trip is ONGOING. The tariff's free
+// minutes cover the whole trip, see fareService.settleBooking.
+
+const MINUTE_MS = 60 * 1000;
+
+// Starts or ends a stop on an ONGOING trip. Only the assigned driver or an
+// admin (driverId null) may do so.
+exports.setWaiting = async (bookingId, driverId, waiting) => {
+  const filter = { _id: bookingId, status: "ONGOING" };
+  if (driverId) filter.assigned_driver = driverId;
+
+  const now = new Date();
+  const booking = waiting
+    ? await Booking.findOneAndUpdate(
+      { ...filter, stops: { $not: { $elemMatch: { ended_at: null } } } },
+      { $push: { stops: { started_at: now, ended_at: null } } },
+      { new: true }
+    )
+    : await Booking.findOneAndUpdate(
+      { ...filter, "stops.ended_at": null },
+      { $set: { "stops.$.ended_at": now } },
+      { new: true }
+    );
+  if (booking) return booking;
+
+  // Work out why nothing matched
+  const current = await Booking.findById(bookingId).select("status assigned_driver stops");
+  if (!current) throw serviceError("BOOKING_NOT_FOUND", "Booking not found");
+  if (driverId && String(current.assigned_driver) !== String(driverId)) {
+    throw serviceError("FORBIDDEN", "Only the assigned driver can record waiting");
+  }
+  if (current.status !== "ONGOING") {
+    throw serviceError("INVALID_STATUS", "Waiting at a stop can only be recorded during a trip");
+  }
+  throw serviceError("WAITING_CONFLICT", waiting ? "Already waiting at a stop" : "Not waiting at a stop");
+};
+
+// Minutes of the trip spent waiting, at the pickup and at stops.
+// A stop left open when the trip finished ends at finished_at.
+exports.waitingMinutes = (booking) => {
+  const pickupMs = booking.arrived_at && booking.started_at
+    ? Math.max(0, booking.started_at - booking.arrived_at)
+    : 0;
+  const stopsMs = (booking.stops || []).reduce((total, stop) => {
+    const end = stop.ended_at || booking.finished_at;
+    return end ? total + Math.max(0, end - stop.started_at) : total;
+  }, 0);
+
+  return {
+    pickup: Math.round(pickupMs / MINUTE_MS),
+    stops: Math.round(stopsMs / MINUTE_MS),
+    stopsMs
+  };
+};
@@ -0,0 +1,162 @@
+const Zone = require("../Models/Zone");
+const serviceError = require("./serviceError");
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Active zones containing a GeoJSON point
+const zonesAt = (point) =>
+  Zone.find({ active: true, area: { $geoIntersects: { $geometry: point } } }).lean();
+
+// Zone rules for a ride between two GeoJSON points. Throws INVALID_ROUTE when
+// either end is unknown, since no zone could then be ruled out, and
+// NO_SERVICE_ZONE when either end lies in a no-service zone. Resolves
+// { fixedFare: { from_zone, to_zone, fare } | null, surcharges: [{ zone, applies_to, amount }] }.
+// Overlapping zones each add their surcharge; when several flat fares match,
+// the rider gets the cheapest.
+exports.evaluate = async (pickup, dropoff) => {
+  if (!pickup || !dropoff) {
+    throw serviceError("INVALID_ROUTE", "Pickup and drop-off locations are required");
+  }
+
+  const [pickupZones, dropoffZones] = await Promise.all([zonesAt(pickup), zonesAt(dropoff)]);
+
+  const closed = pickupZones.find((zone) => zone.no_service) || dropoffZones.find((zone) => zone.no_service);
+  if (closed) {
+    const end = pickupZones.includes(closed) ? "pick up from" : "drop off in";
+    throw serviceError("NO_SERVICE_ZONE", `Sorry, we do not ${end} ${closed.name}`);
+  }
+
+  let fixedFare = null;
+  for (const from of pickupZones) {
+    for (const { to_zone, fare } of from.fixed_fares || []) {
+      const to = dropoffZones.find((zone) => zone._id.equals(to_zone));
+      if (to && (!fixedFare || fare < fixedFare.fare)) {
+        fixedFare = { from_zone: from.name, to_zone: to.name, fare };
+      }
+    }
+  }
+
+  const surcharges = [
+    ...pickupZones.filter((zone) => zone.pickup_surcharge > 0)
+      .map((zone) => ({ zone: zone.name, applies_to: "PICKUP", amount: zone.pickup_surcharge })),
+    ...dropoffZones.filter((zone) => zone.drop_surcharge > 0)
+      .map((zone) => ({ zone: zone.name, applies_to: "DROP", amount: zone.drop_surcharge }))
+  ];
+
+  return { fixedFare, surcharges };
+};
+
+exports.totalSurcharge = (surcharges = []) =>
+  toMoney(surcharges.reduce((total, { amount }) => total + amount, 0));
+
+
+// Admin management
+
+const findZone = async (zoneId) => {
+  const zone = await Zone.findById(zoneId).catch(() => null);
+  if (!zone) throw serviceError("ZONE_NOT_FOUND", "Zone not found");
+  return zone;
+};
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Checks a GeoJSON polygon and closes its rings. Self-intersecting shapes
+// are left for MongoDB's 2dsphere index to refuse, see saveZone.
+const buildArea = (area) => {
+  if (area?.type !== "Polygon" || !Array.isArray(area.coordinates) || area.coordinates.length === 0) {
+    throw serviceError("INVALID_ZONE", "area must be a GeoJSON Polygon");
+  }
+
+  const coordinates = area.coordinates.map((ring) => {
+    if (!Array.isArray(ring)) throw serviceError("INVALID_ZONE", "Each ring of area must be a list of positions");
+
+    const positions = ring.map((position) => {
+      const [lng, lat] = Array.isArray(position) ? position.map(Number) : [];
+      if (!(lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90)) {
+        throw serviceError("INVALID_ZONE", "area positions must be [lng, lat] pairs");
+      }
+      return [lng, lat];
+    });
+    if (positions.length && !samePosition(positions[0], positions[positions.length - 1])) {
+      positions.push(positions[0]);
+    }
+    if (positions.length < 4) throw serviceError("INVALID_ZONE", "area needs at least 3 corners");
+    return positions;
+  });
+
+  return { type: "Polygon", coordinates };
+};
+
+const surcharge = (value, field) => {
+  const amount = Number(value ?? 0);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw serviceError("INVALID_ZONE", `${field} must be a number of at least 0`);
+  }
+  return amount;
+};
+
+// Picks the zone fields out of a request body and checks them.
+// `current` supplies the values an edit leaves out.
+const buildZone = async (body, current = {}, zoneId = null) => {
+  const field = (name) => (body[name] !== undefined ? body[name] : current[name]);
+
+  const zone = {
+    name: String(field("name") ?? "").trim(),
+    area: buildArea(field("area")),
+    no_service: Boolean(field("no_service")),
+    pickup_surcharge: surcharge(field("pickup_surcharge"), "pickup_surcharge"),
+    drop_surcharge: surcharge(field("drop_surcharge"), "drop_surcharge"),
+    active: field("active") !== false
+  };
+  if (!zone.name) throw serviceError("INVALID_ZONE", "name is required");
+
+  const fixedFares = field("fixed_fares") || [];
+  if (!Array.isArray(fixedFares)) throw serviceError("INVALID_ZONE", "fixed_fares must be a list");
+  zone.fixed_fares = fixedFares.map(({ to_zone, fare }) => {
+    const amount = Number(fare);
+    if (!to_zone || !Number.isFinite(amount) || amount < 0) {
+      throw serviceError("INVALID_ZONE", "Each fixed fare needs a to_zone and a fare of at least 0");
+    }
+    return { to_zone: String(to_zone), fare: amount };
+  });
+
+  // A zone may have a flat fare to itself, e.g. rides within the airport
+  const targets = zone.fixed_fares.map(({ to_zone }) => to_zone).filter((id) => id !== String(zoneId));
+  if (targets.length) {
+    const found = await Zone.countDocuments({ _id: { $in: targets } }).catch(() => 0);
+    if (found !== new Set(targets).size) throw serviceError("INVALID_ZONE", "A fixed fare points at an unknown zone");
+  }
+
+  return zone;
+};
+
+// MongoDB refuses polygons it cannot index, such as ones whose edges cross
+const saveZone = async (save) => {
+  try {
+    return await save();
+  } catch (err) {
+    if (err.code === 16755) throw serviceError("INVALID_ZONE", "The zone's edges must not cross each other");
+    throw err;
+  }
+};
+
+exports.listZones = () => Zone.find().sort({ name: 1 }).lean();
+
+exports.createZone = async (body, adminId) => {
+  const zone = await buildZone(body);
+  return saveZone(() => Zone.create({ ...zone, created_by: adminId }));
+};
+
+exports.updateZone = async (zoneId, body) => {
+  const current = await findZone(zoneId);
+  const zone = await buildZone(body, current.toObject(), zoneId);
+  return saveZone(() => Zone.findByIdAndUpdate(zoneId, zone, { new: true, runValidators: true }));
+};
+
+// Flat fares from other zones into a deleted one go with it
+exports.deleteZone = async (zoneId) => {
+  const zone = await findZone(zoneId);
+  await zone.deleteOne();
+  await Zone.updateMany({ "fixed_fares.to_zone": zone._id }, { $pull: { fixed_fares: { to_zone: zone._id } } });
+  return zone;
+};
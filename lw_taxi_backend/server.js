@@ -7,7 +7,22 @@ require("dotenv").config();
 
 const Driver = require("./Models/Driver");
 const Booking = require("./Models/Booking");
-const User = require("./Models/User");
+const bookingService = require("./Services/bookingService");
+const driverService = require("./Services/driverService");
+const dispatchService = require("./Services/dispatchService");
+const notificationService = require("./Services/notificationService");
+const { toGeoPoint } = require("./Services/geoService");
+const socketAuthMiddleware = require("./Middleware/socketAuthMiddleware");
+const socketCommand = require("./Middleware/socketCommand");
+const serviceError = require("./Services/serviceError");
+const socketRooms = require("./Services/socketRooms");
+const presenceService = require("./Services/presenceService");
+const trackingService = require("./Services/trackingService");
+const resyncService = require("./Services/resyncService");
+const startOfferExpiryJob = require("./Jobs/offerExpiryJob");
+const startPendingDemandJob = require("./Jobs/pendingDemandJob");
+const startScheduledBookingJob = require("./Jobs/scheduledBookingJob");
+const startStaleDriverJob = require("./Jobs/staleDriverJob");
 
 const app = express();
 const server = http.createServer(app);
@@ -27,6 +42,9 @@ app.use("/api/auth", require("./Routes/authRoutes"));
 app.use("/api/drivers", require("./Routes/driverRoutes"));
 app.use("/api/bookings", require("./Routes/bookingRoutes"));
 app.use("/api/users", require("./Routes/userRoutes"));
+app.use("/api/tariffs", require("./Routes/tariffRoutes"));
+app.use("/api/promos", require("./Routes/promoRoutes"));
+app.use("/api/zones", require("./Routes/zoneRoutes"));
 
 app.get("/", (req, res) => res.send("Taxi Management System API Running!"));
 
@@ -49,159 +67,144 @@ const io = new Server(server, {
 
 app.set("io", io);
 
+// Every socket is authenticated at the handshake; identity comes from socket.user only
+io.use(socketAuthMiddleware);
+
 io.on("connection", (socket) => {
-  console.log("Socket connected:", socket.id);
+  console.log("Socket connected:", socket.id, "as", socket.user.role, socket.user.id);
 
-  socket.on("user_connect", async (userId) => {
-    if (!userId) {
-      return console.warn("user_connect missing userId");
-    }
-    
-    try {
-      console.log("User connected:", userId);
-      const updatedUser = await User.findByIdAndUpdate(
-        userId, 
-        { socketId: socket.id },
-        { new: true }
-      );
-      console.log("User socket saved:", updatedUser?._id, socket.id);
-    } catch (err) {
-      console.error("User socket save error:", err.message);
-    }
-  });
+  // Personal rooms, so events reach every tab or device of the same identity
+  socket.join(socketRooms.forIdentity(socket.user));
+
+  presenceService.socketConnected(socket.user, socket.id)
+    .catch((err) => console.error("Presence save error:", err.message));
+
+  // Clients pass the seq of the last event they saw in the handshake auth
+  resyncService.resync(socket, socket.handshake.auth?.lastSeq)
+    .catch((err) => console.error("Resync error:", err.message));
 
   socket.on("disconnect", async () => {
     console.log("Socket disconnected:", socket.id);
     try {
-      const users = await User.find({ socketId: socket.id });
-      for (const user of users) {
-        await User.findByIdAndUpdate(user._id, { socketId: null });
-        console.log("Cleared socket for user:", user._id);
-      }
+      await presenceService.socketDisconnected(io, socket.user, socket.id);
     } catch (err) {
       console.error("Disconnect cleanup error:", err.message);
     }
   });
 
-  socket.on("driver_online", async (driverId) => {
-    if (!driverId) return console.warn("driver_online event missing driverId", socket.id);
-    try {
-      const updatedDriver = await Driver.findByIdAndUpdate(
-        driverId,
-        { socketId: socket.id, status: "AVAILABLE", isAvailable: true, lastSeen: new Date() },
-        { new: true }
-      );
-      if (updatedDriver) {
-        console.log(`Driver ${updatedDriver.name}(${driverId}) is AVAILABLE`);
-        io.emit("driver_status_update", {
-          driverId: updatedDriver._id,
-          status: updatedDriver.status,
-          isAvailable: updatedDriver.isAvailable
-        });
-      }
-    } catch (err) {
-      console.error("Error in driver_online:", err.message);
+  // Client-to-server commands: payloads are validated and every command answers
+  // through its acknowledgement callback, see Middleware/socketCommand
+  const DRIVER = ["DRIVER"];
+  const RIDER = ["USER", "ADMIN"];
+
+  // Kept for older clients, presence is already recorded on connection
+  socketCommand(socket, "user_connect", { roles: RIDER }, async () => {
+    console.log("User connected:", socket.user.id);
+    return { userId: socket.user.id };
+  });
+
+  // Optional payload { coords } with coords as [lat, lng]
+  socketCommand(socket, "driver_online", {
+    roles: DRIVER,
+    schema: { coords: { type: "coords" } }
+  }, async ({ coords }) => {
+    const driverId = socket.user.id;
+    // Re-adds this socket in case it was dropped while the driver was silent
+    const seen = { lastSeen: new Date(), $addToSet: { socketIds: socket.id } };
+    const location = toGeoPoint(coords);
+    if (location) seen.location = location;
+
+    // Only an OFFLINE driver comes online. The app repeats driver_online on every
+    // reconnect, which must neither free a driver claimed for an offer nor put a
+    // BUSY driver back into the pool; for them it only re-registers the socket.
+    const promoted = await Driver.findOneAndUpdate(
+      { _id: driverId, status: "OFFLINE" },
+      { ...seen, status: "AVAILABLE", isAvailable: true, availableSince: new Date() },
+      { new: true }
+    ).select("-password");
+
+    if (promoted) {
+      console.log(`Driver ${promoted.name}(${driverId}) is AVAILABLE`);
+      notificationService.driverStatusChanged(io, promoted);
+      await dispatchService.offerWaitingBooking(io, promoted._id);
+      return { status: promoted.status, isAvailable: promoted.isAvailable };
     }
+
+    const driver = await Driver.findByIdAndUpdate(driverId, seen, { new: true }).select("status isAvailable");
+    if (!driver) throw serviceError("DRIVER_NOT_FOUND", "Driver not found");
+
+    return { status: driver.status, isAvailable: driver.isAvailable };
   });
 
-  socket.on("accept_booking", async ({ bookingId, driverId }) => {
-    try {
-      if (!bookingId || !driverId) {
-        return console.warn("accept_booking missing bookingId or driverId");
-      }
-
-      console.log("Driver accepting booking:", bookingId);
-
-      const booking = await Booking.findById(bookingId).populate("user assigned_driver");
-      if (!booking) {
-        return console.error("accept_booking: booking not found");
-      }
-
-      booking.assigned_driver = driverId;
-      booking.status = "DRIVER_ASSIGNED";
-      await booking.save();
-
-      const updatedDriver = await Driver.findByIdAndUpdate(
-        driverId,
-        { status: "BUSY", isAvailable: false },
-        { new: true }
-      );
-
-      const userSocketId = booking.user?.socketId;
-      if (userSocketId) {
-        console.log("Sending to user socket:", userSocketId);
-        io.to(userSocketId).emit("booking_confirmed", {
-          booking: booking._doc,
-          driver: updatedDriver,
-          message: `Driver ${updatedDriver?.name} accepted your ride!`
-        });
-      }
-
-      io.emit("booking_status_update", { 
-        bookingId: booking._id, 
-        status: booking.status,
-        booking: booking 
-      });
-      
-      io.emit("driver_status_update", { 
-        driverId, 
-        status: "BUSY", 
-        isAvailable: false 
-      });
-
-      console.log("Booking confirmed! Status:", booking.status);
+  socketCommand(socket, "accept_booking", {
+    roles: DRIVER,
+    schema: { bookingId: { type: "objectId", required: true } }
+  }, async ({ bookingId }) => {
+    console.log("Driver accepting booking:", bookingId);
 
-    } catch (err) {
-      console.error("Error accepting booking:", err.message);
+    const result = await driverService.handleBookingAction(socket.user.id, bookingId, "ACCEPT", io);
+    const booking = await result.booking.populate(bookingService.PARTIES_POPULATE);
+
+    notificationService.bookingAccepted(io, booking, result.driver);
+    console.log("Booking confirmed! Status:", booking.status);
+
+    return { bookingId: booking._id, status: booking.status };
+  });
+
+  socketCommand(socket, "reject_booking", {
+    roles: DRIVER,
+    schema: { bookingId: { type: "objectId", required: true } }
+  }, async ({ bookingId }) => {
+    const result = await driverService.handleBookingAction(socket.user.id, bookingId, "REJECT", io);
+    const booking = await result.booking.populate(bookingService.PARTIES_POPULATE);
+
+    notificationService.bookingRejected(io, booking);
+
+    return { bookingId: booking._id, status: booking.status };
+  });
+
+  // Sent periodically by the driver app; silent drivers are taken offline by the stale driver job
+  socketCommand(socket, "driver_heartbeat", { roles: DRIVER }, async () => {
+    const lastSeen = new Date();
+    await Driver.updateOne({ _id: socket.user.id }, { lastSeen, $addToSet: { socketIds: socket.id } });
+    return { lastSeen };
+  });
+
+  // Live position: { coords: [lat, lng], heading, accuracy }, see trackingService
+  socketCommand(socket, "driver_location", {
+    roles: DRIVER,
+    schema: {
+      coords: { type: "coords", required: true },
+      heading: { type: "number" },
+      accuracy: { type: "number" }
     }
+  }, async (input) => {
+    const { booking } = await trackingService.updateDriverLocation(io, socket.user.id, input);
+    return { bookingId: booking?._id || null };
   });
 
-  socket.on("reject_booking", async ({ bookingId, driverId }) => {
-    try {
-      if (!bookingId || !driverId) {
-        return console.warn("reject_booking missing bookingId or driverId");
-      }
-
-      const booking = await Booking.findById(bookingId).populate("user assigned_driver");
-      if (!booking) {
-        return console.error("reject_booking: booking not found");
-      }
-
-      await Driver.findByIdAndUpdate(driverId, { status: "AVAILABLE", isAvailable: true });
-
-      const nextDriver = await Driver.findOne({
-        isAvailable: true,
-        status: "AVAILABLE",
-        socketId: { $exists: true, $ne: null },
-        _id: { $ne: driverId }
-      }).sort({ lastSeen: -1 });
-
-      if (nextDriver) {
-        booking.assigned_driver = nextDriver._id;
-        booking.status = "DRIVER_PENDING";
-        await booking.save();
-        nextDriver.isAvailable = false;
-        await nextDriver.save();
-        if (nextDriver.socketId) {
-          io.to(nextDriver.socketId).emit("new_ride_request", { 
-            ...booking.toObject(), 
-            user: booking.user 
-          });
-        }
-      } else {
-        booking.status = "NO_DRIVER_AVAILABLE";
-        booking.assigned_driver = null;
-        await booking.save();
-      }
-
-      io.emit("booking_status_update", { 
-        bookingId: booking._id, 
-        status: booking.status,
-        booking: booking 
-      });
-    } catch (err) {
-      console.error("Error in reject_booking:", err.message);
+  // Live updates for one booking, only for its rider, its driver and admins
+  socketCommand(socket, "join_booking", {
+    schema: { bookingId: { type: "objectId", required: true } }
+  }, async ({ bookingId }) => {
+    const booking = await Booking.findById(bookingId).select("user assigned_driver");
+    if (!booking) throw serviceError("BOOKING_NOT_FOUND", "Booking not found");
+
+    const { id, role } = socket.user;
+    const isParty = booking.user?.toString() === id || booking.assigned_driver?.toString() === id;
+    if (role !== "ADMIN" && !isParty) {
+      throw serviceError("FORBIDDEN", "You are not part of this booking");
     }
+
+    socket.join(socketRooms.booking(bookingId));
+    return { bookingId };
+  });
+
+  socketCommand(socket, "leave_booking", {
+    schema: { bookingId: { type: "objectId", required: true } }
+  }, async ({ bookingId }) => {
+    socket.leave(socketRooms.booking(bookingId));
+    return { bookingId };
   });
 
   socket.on("error", (error) => {
@@ -210,7 +213,14 @@ io.on("connection", (socket) => {
 });
 
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB Connected"))
+  .then(() => {
+    console.log("MongoDB Connected");
+    presenceService.reset(io).catch((err) => console.error("Presence reset error:", err.message));
+    startOfferExpiryJob(io);
+    startPendingDemandJob(io);
+    startScheduledBookingJob(io);
+    startStaleDriverJob(io);
+  })
   .catch((err) => console.error("MongoDB Connection Error:", err));
 
 const PORT = process.env.PORT || 5000;
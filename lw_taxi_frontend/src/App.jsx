@@ -8,27 +8,36 @@ import TourHistoryPage from "./pages/admin/TourHistoryPage.jsx";
 import AdminDashboard from "./pages/admin/AdminHome.jsx";
 import UsersGrid from "./pages/admin/UsersGrid.jsx";
 import DriverGrid from "./pages/admin/DriverGrid.jsx";
+import TariffsGrid from "./pages/admin/TariffsGrid.jsx";
+import PromosGrid from "./pages/admin/PromosGrid.jsx";
+import ZonesGrid from "./pages/admin/ZonesGrid.jsx";
 import DriverDashboard from "./pages/driver/DriverDashboard.jsx";
 import DriverBooking from "./pages/driver/DriverBooking.jsx"; 
+import SocketProvider from "./context/SocketProvider.jsx";
 
 function App() {
   const userRole = localStorage.getItem("userRole");
 
   return (
     <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<HomePage />} />
-        <Route path="/map" element={<BookingRoutes />} />
+      <SocketProvider>
+        <Routes>
+          <Route path="/" element={<HomePage />} />
+          <Route path="/map" element={<BookingRoutes />} />
 
-        <Route path="/admin/dashboard" element={<AdminDashboard />} />
+          <Route path="/admin/dashboard" element={<AdminDashboard />} />
 
-        <Route path="/admin/users" element={<UsersGrid />} />
-        <Route path="/admin/tours" element={<TourHistoryPage />} />
-        <Route path="/admin/drivers" element={<DriverGrid />} />
+          <Route path="/admin/users" element={<UsersGrid />} />
+          <Route path="/admin/tours" element={<TourHistoryPage />} />
+          <Route path="/admin/drivers" element={<DriverGrid />} />
+          <Route path="/admin/tariffs" element={<TariffsGrid />} />
+          <Route path="/admin/promos" element={<PromosGrid />} />
+          <Route path="/admin/zones" element={<ZonesGrid />} />
 
-        <Route path="/driver-dashboard" element={<DriverDashboard />} />
-        <Route path="/booking/:bookingId" element={<DriverBooking />} /> 
-      </Routes>
+          <Route path="/driver-dashboard" element={<DriverDashboard />} />
+          <Route path="/booking/:bookingId" element={<DriverBooking />} /> 
+        </Routes>
+      </SocketProvider>
     </BrowserRouter>
   );
 }
@@ -0,0 +1,44 @@
+// Itemised final fare of a finished trip, as settled by the server
+const formatRs = (amount) => `Rs ${Number(amount || 0).toFixed(2)}`;
+
+export default function FareBreakdown({ booking }) {
+  const breakdown = booking?.fare_breakdown;
+  if (!breakdown || booking.final_fare == null) return null;
+
+  // Lines add up to the total, so the minimum fare shows as the difference it made
+  const minimumTopUp = breakdown.minimum_applied
+    ? Math.round((booking.final_fare + (breakdown.discount || 0) - (breakdown.waiting || 0) - (breakdown.surcharge || 0) - breakdown.cap_adjustment - breakdown.rounding - breakdown.subtotal - breakdown.surge) * 100) / 100
+    : 0;
+
+  const lines = [
+    [`Flat rate${booking.fixed_fare ? ` (${booking.fixed_fare.from_zone} → ${booking.fixed_fare.to_zone})` : ""}`, breakdown.fixed_fare],
+    ["Base fare", breakdown.base],
+    [`Distance (${breakdown.distance_km} km${breakdown.distance_source === "QUOTE" ? ", as quoted" : ""})`, breakdown.distance],
+    [`Time (${breakdown.time_minutes} min)`, breakdown.time],
+    [`Surge (x${booking.surge_multiplier})`, breakdown.surge],
+    ["Minimum fare top-up", minimumTopUp],
+    ["Rounding", breakdown.rounding],
+    [breakdown.cap_adjustment < 0 ? "Capped at quote limit" : "Quoted fare minimum", breakdown.cap_adjustment],
+    ["Zone surcharges", breakdown.surcharge],
+    [`Waiting (${breakdown.waiting_minutes} min, ${breakdown.free_waiting_minutes} free)`, breakdown.waiting],
+    [`Promo ${booking.promo?.code || ""}`.trim(), -(breakdown.discount || 0)],
+  ].filter(([, amount]) => amount);
+
+  return (
+    <div className="text-left text-sm">
+      <ul className="space-y-1">
+        {lines.map(([label, amount]) => (
+          <li key={label} className="flex justify-between gap-4">
+            <span className="text-gray-600">{label}</span>
+            <span className="font-medium text-gray-900">{formatRs(amount)}</span>
+          </li>
+        ))}
+      </ul>
+      <div className="flex justify-between gap-4 border-t border-gray-200 mt-2 pt-2 font-bold">
+        <span>Total</span>
+        <span className="text-green-700">{formatRs(booking.final_fare)}</span>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">Quoted {formatRs(booking.estimated_fare)}</p>
+    </div>
+  );
+}
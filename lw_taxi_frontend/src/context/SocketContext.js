@@ -0,0 +1,30 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+export const SocketContext = createContext({
+  socket: null,
+  connected: false,
+  setDriverOnline: () => {},
+  sendCommand: async () => ({ ok: false, error: { code: 'NOT_CONNECTED', message: 'Not connected to the server' } }),
+});
+
+// { socket, connected, setDriverOnline, sendCommand } from the nearest SocketProvider
+export const useSocket = () => useContext(SocketContext);
+
+// Subscribes to a server event for the lifetime of the component.
+// The latest handler is always called, so it does not need to be memoised.
+export const useSocketEvent = (event, handler) => {
+  const { socket } = useSocket();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const listener = (...args) => handlerRef.current(...args);
+    socket.on(event, listener);
+    return () => socket.off(event, listener);
+  }, [socket, event]);
+};
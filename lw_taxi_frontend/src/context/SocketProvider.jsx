@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import { io } from 'socket.io-client';
+import { SocketContext } from './SocketContext';
+
+const SOCKET_URL = 'https://taxibackend-two.vercel.app';
+// Well inside the server's stale driver limit, so a live driver app is never taken offline
+const HEARTBEAT_INTERVAL_MS = 20000;
+const COMMAND_TIMEOUT_MS = 8000;
+
+// The handshake carries the token and the seq of the last event received, and
+// is re-evaluated on every reconnect so the server can replay what was missed.
+const createSocket = (token) => {
+  let lastSeq = null;
+  const socket = io(SOCKET_URL, {
+    transports: ['websocket', 'polling'],
+    auth: (cb) => cb({ token, lastSeq }),
+    autoConnect: false,
+  });
+
+  socket.onAny((event, payload) => {
+    if (Number.isInteger(payload?.seq)) lastSeq = payload.seq;
+  });
+
+  return socket;
+};
+
+// One Socket.IO connection for the whole app, authenticated with the stored token.
+// It follows login and logout: the token is re-read on every navigation.
+const SocketProvider = ({ children }) => {
+  // Re-render on navigation so a fresh login or a logout is picked up
+  useLocation();
+  const token = localStorage.getItem('token');
+  const role = localStorage.getItem('userRole') || localStorage.getItem('role');
+
+  const [connected, setConnected] = useState(false);
+  const driverOnlineRef = useRef(null);
+
+  const socket = useMemo(() => (token ? createSocket(token) : null), [token]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    let heartbeat = null;
+    const stopHeartbeat = () => {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    };
+
+    // Runs again after every reconnect, so the server always knows who is here
+    const onConnect = () => {
+      console.log('🔌 Socket connected:', socket.id);
+      setConnected(true);
+
+      if (role !== 'DRIVER') {
+        socket.emit('user_connect');
+        return;
+      }
+
+      if (driverOnlineRef.current) {
+        socket.emit('driver_online', driverOnlineRef.current);
+      }
+      stopHeartbeat();
+      heartbeat = setInterval(() => socket.emit('driver_heartbeat'), HEARTBEAT_INTERVAL_MS);
+    };
+    const onDisconnect = (reason) => {
+      console.warn('🔌 Socket disconnected:', reason);
+      stopHeartbeat();
+      setConnected(false);
+    };
+    const onConnectError = (error) => {
+      console.warn('Socket connection refused:', error.message);
+      setConnected(false);
+    };
+
+    socket.on('connect', onConnect);
+    socket.on('disconnect', onDisconnect);
+    socket.on('connect_error', onConnectError);
+    socket.connect();
+
+    return () => {
+      stopHeartbeat();
+      socket.off('connect', onConnect);
+      socket.off('disconnect', onDisconnect);
+      socket.off('connect_error', onConnectError);
+      socket.disconnect();
+      setConnected(false);
+    };
+  }, [socket, role]);
+
+  // Drivers only go online when they say so; the choice survives reconnects
+  const setDriverOnline = useCallback((online, coords = null) => {
+    driverOnlineRef.current = online ? (coords ? { coords } : {}) : null;
+    if (online && socket?.connected) {
+      socket.emit('driver_online', driverOnlineRef.current);
+    }
+  }, [socket]);
+
+  // Sends a command and resolves with the server's acknowledgement:
+  // { ok: true, data } or { ok: false, error: { code, message } }
+  const sendCommand = useCallback((event, payload = {}) => new Promise((resolve) => {
+    if (!socket?.connected) {
+      return resolve({ ok: false, error: { code: 'NOT_CONNECTED', message: 'Not connected to the server' } });
+    }
+
+    socket.timeout(COMMAND_TIMEOUT_MS).emit(event, payload, (err, response) => {
+      if (err) {
+        return resolve({ ok: false, error: { code: 'TIMEOUT', message: 'The server did not respond in time' } });
+      }
+      resolve(response);
+    });
+  }), [socket]);
+
+  const value = useMemo(
+    () => ({ socket, connected, setDriverOnline, sendCommand }),
+    [socket, connected, setDriverOnline, sendCommand]
+  );
+
+  return <SocketContext.Provider value={value}>{children}</SocketContext.Provider>;
+};
+
+export default SocketProvider;
@@ -20,6 +20,12 @@ const STATUS_MAP = {
         color: "bg-green-100 border-green-600",
         detail: "Your taxi is on the way. Check for driver details below."
     },
+    'ARRIVED': { 
+        icon: <Car className="h-8 w-8 text-green-600" />, 
+        message: "Driver Has Arrived!", 
+        color: "bg-green-100 border-green-600",
+        detail: "Your driver is waiting at the pickup point."
+    },
     'ONGOING': { 
         icon: <MapPin className="h-8 w-8 text-blue-600" />, 
         message: "Trip in Progress", 
@@ -3,6 +3,8 @@ import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import axios from "axios";
+import { useSocket, useSocketEvent } from "../context/SocketContext";
+import FareBreakdown from "../components/FareBreakdown";
 
 const API_URL = "https://taxibackend-two.vercel.app";
 
@@ -12,10 +14,31 @@ const sriLankaBounds = [
 ];
 const centerSriLanka = [7.8731, 80.7718];
 
+const carIcon = L.divIcon({
+  html: "🚕",
+  className: "text-3xl leading-none",
+  iconSize: [32, 32],
+  iconAnchor: [16, 16],
+});
+
+// Formats a Date for <input type="datetime-local">, which expects local time
+const toLocalInputValue = (date) => {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
 const BookingRoutes = ({ user }) => {
   const [currentPos, setCurrentPos] = useState(null);
   const [destination, setDestination] = useState(null);
   const [routeInfo, setRouteInfo] = useState({ distance: 0, duration: 0 });
+  // Server fare for the trip it was quoted for:
+  // { distance, duration, pickupAt, estimatedFare, breakdown, surge, zones },
+  // or { distance, duration, pickupAt, error } when the trip cannot be booked
+  const [quote, setQuote] = useState(null);
+  const [promoInput, setPromoInput] = useState("");
+  // Code the server accepted and what it takes off: { code, fare, discount, payableFare }
+  const [promo, setPromo] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [suggestions, setSuggestions] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -23,10 +46,20 @@ const BookingRoutes = ({ user }) => {
   const [endName, setEndName] = useState("Select destination");
   const [bookingStatus, setBookingStatus] = useState(null);
   const [pollStatus, setPollStatus] = useState("idle"); // idle, polling, timeout, found
+  const [scheduleLater, setScheduleLater] = useState(false);
+  const [scheduledAt, setScheduledAt] = useState("");
+  const [activeBookingId, setActiveBookingId] = useState(null);
+  // Ride with a driver on the way: { bookingId, driver, status }, followed on the map
+  const [tracking, setTracking] = useState(null);
+  const [driverPos, setDriverPos] = useState(null);
+  const [etaMinutes, setEtaMinutes] = useState(null);
+  // Finished ride with its settled fare, shown until dismissed
+  const [receipt, setReceipt] = useState(null);
   const mapRef = useRef();
   const routingControlRef = useRef(null);
   const pollIntervalRef = useRef(null);
   const abortControllerRef = useRef(null);
+  const { socket, connected } = useSocket();
 
   useEffect(() => {
     if (navigator.geolocation) {
@@ -129,6 +162,82 @@ const BookingRoutes = ({ user }) => {
     calculateRoute();
   }, [currentPos, destination]);
 
+  // The server prices every route, the fare shown is the one that will be charged.
+  // Surge rules depend on the pickup time, so a scheduled ride is quoted for it.
+  const pickupAt = scheduleLater && scheduledAt ? scheduledAt : "";
+
+  useEffect(() => {
+    if (routeInfo.distance === 0 || !currentPos || !destination) return;
+
+    const token = localStorage.getItem("token");
+    const controller = new AbortController();
+
+    axios
+      .post(
+        `${API_URL}/api/bookings/quote`,
+        {
+          distance: routeInfo.distance,
+          estimatedTime: routeInfo.duration,
+          pickupCoords: currentPos,
+          dropoffCoords: destination,
+          ...(pickupAt && { scheduledAt: new Date(pickupAt).toISOString() }),
+        },
+        { headers: { Authorization: `Bearer ${token}` }, signal: controller.signal }
+      )
+      .then((response) => setQuote({ ...routeInfo, pickupAt, ...response.data }))
+      .catch((err) => {
+        if (axios.isCancel(err)) return;
+        console.error("Fare quote error:", err.response?.data || err.message);
+        if (err.response?.data?.code === "NO_SERVICE_ZONE") {
+          setQuote({ ...routeInfo, pickupAt, error: err.response.data.message });
+        }
+      });
+
+    return () => controller.abort();
+  }, [routeInfo, currentPos, destination, pickupAt]);
+
+  // A quote for an earlier route or pickup time is stale until the new one arrives
+  const currentQuote =
+    quote &&
+    quote.distance === routeInfo.distance &&
+    quote.duration === routeInfo.duration &&
+    quote.pickupAt === pickupAt
+      ? quote
+      : null;
+  const fareQuote = currentQuote && !currentQuote.error ? currentQuote : null;
+  const quoteError = currentQuote?.error || null;
+  const fixedFare = fareQuote?.zones?.fixedFare || null;
+  const surcharges = fareQuote?.zones?.surcharges || [];
+  const surge = fareQuote?.surge?.multiplier > 1 ? fareQuote.surge : null;
+  // The discount shown belongs to the fare it was checked against; the booking re-checks it anyway
+  const promoDiscount = promo && fareQuote && promo.fare === fareQuote.estimatedFare ? promo : null;
+
+  const applyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code || !fareQuote) return;
+
+    setIsApplyingPromo(true);
+    try {
+      const token = localStorage.getItem("token");
+      const response = await axios.post(
+        `${API_URL}/api/promos/validate`,
+        { code, fare: fareQuote.estimatedFare },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setPromo({ ...response.data, fare: fareQuote.estimatedFare });
+    } catch (err) {
+      setPromo(null);
+      alert(err.response?.data?.msg || "Could not check this promo code");
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const removePromo = () => {
+    setPromo(null);
+    setPromoInput("");
+  };
+
   useEffect(() => {
     if (!searchQuery || searchQuery.length < 2) {
       setSuggestions([]);
@@ -170,11 +279,11 @@ const BookingRoutes = ({ user }) => {
     setEndName("Select destination");
     setBookingStatus(null);
     setPollStatus("idle");
-    
-    if (pollIntervalRef.current) {
-      clearInterval(pollIntervalRef.current);
-      pollIntervalRef.current = null;
-    }
+    setActiveBookingId(null);
+    setScheduleLater(false);
+    setScheduledAt("");
+    setPromo(null);
+    setPromoInput("");
     
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
@@ -185,6 +294,44 @@ const BookingRoutes = ({ user }) => {
     }
   };
 
+  // The booking moves from the form to the tracking panel; polling, if the
+  // socket is down, carries on for the tracked booking (see polledBookingId)
+  const handleDriverFound = (bookingId, driverInfo = {}, status = "DRIVER_ASSIGNED") => {
+    setPollStatus("found");
+    setTracking({ bookingId, driver: driverInfo, status });
+    setDriverPos(null);
+    setEtaMinutes(null);
+    handleRefresh();
+  };
+
+  // Applies one poll result, through a ref from the poll so it sees the current state
+  const handlePolledStatus = (bookingId, data) => {
+    const status = data.status || data.bookingStatus;
+
+    if (status === "FINISHED" || status === "COMPLETED" || status === "CANCELLED") {
+      if (data.booking?.final_fare != null) setReceipt(data.booking);
+      setBookingStatus(isActiveBooking(bookingId) ? status : null);
+      setPollStatus("idle");
+      setActiveBookingId(null);
+      if (isTrackedBooking(bookingId)) stopTracking();
+      return;
+    }
+
+    if (isTrackedBooking(bookingId)) {
+      setTracking((prev) => (prev ? { ...prev, status } : prev));
+      return;
+    }
+
+    setBookingStatus(status);
+    if (["DRIVER_ASSIGNED", "ACCEPTED", "ARRIVED", "ONGOING"].includes(status)) {
+      handleDriverFound(bookingId, data.assignedDriver || data.driver || {}, status);
+    }
+  };
+  const handlePolledStatusRef = useRef(handlePolledStatus);
+  useEffect(() => {
+    handlePolledStatusRef.current = handlePolledStatus;
+  });
+
   // ✅ OPTIMIZED POLL FOR BOOKING STATUS WITH TIMEOUT
   const pollBookingStatus = (bookingId, token) => {
     if (pollIntervalRef.current) {
@@ -221,25 +368,8 @@ const BookingRoutes = ({ user }) => {
         );
 
         clearTimeout(timeoutId);
-        const data = response.data;
-        const status = data.status || data.bookingStatus;
-        const assignedDriver = data.assignedDriver || data.driver;
-
-        console.log(`✅ Booking Status: ${status}`, data);
-        setBookingStatus(status);
-
-        if (status === "DRIVER_ASSIGNED" || status === "ACCEPTED") {
-          setPollStatus("found");
-          const driverInfo = assignedDriver || {};
-          alert(`🎉 Driver found!\n\nDriver: ${driverInfo.name || 'Unknown'}\nContact: ${driverInfo.mobile || 'N/A'}`);
-          clearInterval(pollIntervalRef.current);
-          pollIntervalRef.current = null;
-          handleRefresh();
-        } else if (status === "FINISHED" || status === "COMPLETED" || status === "CANCELLED") {
-          setPollStatus("idle");
-          clearInterval(pollIntervalRef.current);
-          pollIntervalRef.current = null;
-        }
+        console.log(`✅ Booking Status: ${response.data.status}`, response.data);
+        handlePolledStatusRef.current(bookingId, response.data);
       } catch (err) {
         clearTimeout(timeoutId);
 
@@ -291,6 +421,118 @@ const BookingRoutes = ({ user }) => {
     pollIntervalRef.current = setInterval(poll, 3000);
   };
 
+  // The effect below polls through the latest pollBookingStatus without
+  // restarting whenever a render recreates it, as useSocketEvent does
+  const pollBookingStatusRef = useRef(pollBookingStatus);
+  useEffect(() => {
+    pollBookingStatusRef.current = pollBookingStatus;
+  });
+
+  // The booking being followed: the one still waiting for a driver, then the
+  // tracked ride until it is FINISHED or CANCELLED
+  const polledBookingId = activeBookingId || tracking?.bookingId || null;
+
+  // Live updates for that booking; polling only while the socket is down
+  useEffect(() => {
+    if (!polledBookingId) return;
+
+    if (connected) {
+      socket.emit("join_booking", { bookingId: polledBookingId });
+      return () => socket.emit("leave_booking", { bookingId: polledBookingId });
+    }
+
+    console.log(`🔄 Socket unavailable, polling booking ${polledBookingId}`);
+    pollBookingStatusRef.current(polledBookingId, localStorage.getItem("token"));
+
+    return () => {
+      clearInterval(pollIntervalRef.current);
+      pollIntervalRef.current = null;
+    };
+  }, [polledBookingId, connected, socket]);
+
+  const isActiveBooking = (bookingId) =>
+    Boolean(activeBookingId) && String(bookingId) === String(activeBookingId);
+
+  useSocketEvent("booking_status_update", ({ bookingId, status }) => {
+    if (!isActiveBooking(bookingId)) return;
+    setBookingStatus(status);
+    if (status === "FINISHED" || status === "CANCELLED") setActiveBookingId(null);
+  });
+
+  useSocketEvent("booking_confirmed", ({ booking, driver }) => {
+    if (!isActiveBooking(booking?._id)) return;
+    handleDriverFound(booking._id, driver || {});
+  });
+
+  useSocketEvent("driver_search_resumed", ({ bookingId, status }) => {
+    if (isActiveBooking(bookingId)) setBookingStatus(status);
+  });
+
+  useSocketEvent("ride_cancelled", ({ rideId, message }) => {
+    if (!isActiveBooking(rideId)) return;
+    setBookingStatus("CANCELLED");
+    setActiveBookingId(null);
+    alert(message);
+  });
+
+  const isTrackedBooking = (bookingId) =>
+    Boolean(tracking) && String(bookingId) === String(tracking.bookingId);
+
+  const stopTracking = () => {
+    setTracking(null);
+    setDriverPos(null);
+    setEtaMinutes(null);
+  };
+
+  useSocketEvent("driver_location_update", ({ bookingId, coords, etaMinutes: eta, status }) => {
+    if (!isTrackedBooking(bookingId)) return;
+    setDriverPos(coords);
+    setEtaMinutes(eta);
+    setTracking((prev) => (prev ? { ...prev, status } : prev));
+  });
+
+  useSocketEvent("booking_status_update", ({ bookingId, status, booking }) => {
+    if (!isTrackedBooking(bookingId)) return;
+    if (status === "FINISHED" || status === "CANCELLED") {
+      if (status === "FINISHED" && booking?.final_fare != null) setReceipt(booking);
+      stopTracking();
+    } else {
+      setTracking((prev) => (prev ? { ...prev, status } : prev));
+    }
+  });
+
+  useSocketEvent("ride_cancelled", ({ rideId, message }) => {
+    if (!isTrackedBooking(rideId)) return;
+    stopTracking();
+    alert(message);
+  });
+
+  // Sent after a reconnect when the missed events could not be replayed
+  useSocketEvent("state_snapshot", ({ bookings = [] }) => {
+    const findBooking = (bookingId) => bookings.find((b) => String(b._id) === String(bookingId));
+
+    if (activeBookingId) {
+      const active = findBooking(activeBookingId);
+      if (!active) {
+        setBookingStatus(null);
+        setActiveBookingId(null);
+      } else if (["DRIVER_ASSIGNED", "ARRIVED", "ONGOING"].includes(active.status)) {
+        handleDriverFound(active._id, active.assigned_driver || {});
+      } else {
+        setBookingStatus(active.status);
+      }
+    }
+
+    if (tracking) {
+      const tracked = findBooking(tracking.bookingId);
+      if (!tracked) {
+        stopTracking();
+      } else {
+        setTracking((prev) => (prev ? { ...prev, status: tracked.status } : prev));
+      }
+    }
+  });
+
   const saveRoute = async () => {
     if (!currentPos || !destination) {
       alert("Please select both pickup and destination!");
@@ -302,6 +544,16 @@ const BookingRoutes = ({ user }) => {
       return;
     }
 
+    if (!fareQuote) {
+      alert("Please wait for the fare to be calculated!");
+      return;
+    }
+
+    if (scheduleLater && !scheduledAt) {
+      alert("Please pick a date and time for your ride!");
+      return;
+    }
+
     const token = localStorage.getItem("token");
     if (!token) {
       alert("Please login first!");
@@ -311,7 +563,7 @@ const BookingRoutes = ({ user }) => {
     setIsSubmitting(true);
 
     try {
-      const fare = (routeInfo.distance * 50).toFixed(2);
+      const fare = fareQuote.estimatedFare.toFixed(2);
 
       console.log("📤 Sending booking request...", {
         startLocation: startName,
@@ -335,6 +587,8 @@ const BookingRoutes = ({ user }) => {
           estimatedFare: parseFloat(fare),
           pickupCoords: currentPos,
           dropoffCoords: destination,
+          ...(scheduleLater && { scheduledAt: new Date(scheduledAt).toISOString() }),
+          ...(promo && { promoCode: promo.code }),
         },
         {
           headers: {
@@ -355,6 +609,27 @@ const BookingRoutes = ({ user }) => {
         return;
       }
 
+      // Fare after the promo, as the server applied it
+      const payable = response.data.discount
+        ? `${response.data.payableFare.toFixed(2)} (Rs ${response.data.discount.toFixed(2)} off with ${promo.code})`
+        : fare;
+
+      if (response.data.status === "SCHEDULED") {
+        setBookingStatus("SCHEDULED");
+        alert(
+          `📅 Ride Scheduled!
+
+From: ${startName}
+To: ${endName}
+Pickup: ${new Date(response.data.scheduledAt).toLocaleString()}
+Fare: Rs ${payable}
+
+Booking ID: ${bookingId}
+We will start looking for a driver shortly before your pickup time.`
+        );
+        return;
+      }
+
       setBookingStatus("PENDING");
 
       alert(
@@ -364,18 +639,25 @@ From: ${startName}
 To: ${endName}
 Distance: ${routeInfo.distance} km
 Duration: ${routeInfo.duration} min
-Fare: Rs ${fare}
+Fare: Rs ${payable}${surge ? ` (surge x${surge.multiplier})` : ""}
 
 Booking ID: ${bookingId}
 Status: PENDING - Finding driver...`
       );
 
-      // ✅ START OPTIMIZED POLLING FOR UPDATES
-      console.log(`🔄 Starting to poll for booking ${bookingId}`);
-      pollBookingStatus(bookingId, token);
+      // Updates arrive over the socket, with polling as the fallback (see below)
+      setActiveBookingId(bookingId);
     } catch (err) {
       if (err.code === 'ECONNABORTED') {
         alert("Booking request timed out. Please try again.");
+      } else if (err.response?.data?.code === "FARE_MISMATCH") {
+        // The tariff or surge changed since the quote, show the new fare before rebooking
+        setQuote({ ...fareQuote, estimatedFare: err.response.data.estimatedFare, surge: err.response.data.surge });
+        alert(`The fare has changed to Rs ${err.response.data.estimatedFare.toFixed(2)}. Please confirm again.`);
+      } else if (err.response?.data?.code?.startsWith("PROMO_")) {
+        // The code ran out or no longer applies, let the rider book without it
+        setPromo(null);
+        alert(`${err.response.data.message}. The promo code has been removed, please confirm again.`);
       } else {
         console.error("❌ Booking error:", err.response?.data || err.message);
         alert(
@@ -450,6 +732,12 @@ Status: PENDING - Finding driver...`
       <Popup>Destination</Popup>
     </Marker>
   )}
+
+  {tracking && driverPos && (
+    <Marker position={driverPos} icon={carIcon}>
+      <Popup>{tracking.driver.name || "Your driver"}</Popup>
+    </Marker>
+  )}
 </MapContainer>
         </div>
 
@@ -505,20 +793,58 @@ Status: PENDING - Finding driver...`
                   Fare
                 </p>
                 <p className="text-xl font-bold text-green-900">
-                  Rs {(routeInfo.distance * 50).toFixed(2)}
+                  {fareQuote ? `Rs ${(promoDiscount ? promoDiscount.payableFare : fareQuote.estimatedFare).toFixed(2)}` : "..."}
                 </p>
+                {promoDiscount && (
+                  <p className="text-xs text-gray-500 line-through">
+                    Rs {fareQuote.estimatedFare.toFixed(2)}
+                  </p>
+                )}
               </div>
             </div>
 
+            {surge && (
+              <div className="text-left text-sm p-2 rounded mb-3 bg-orange-100 text-orange-800">
+                <span className="font-semibold">⚡ Surge x{surge.multiplier}</span>
+                <span className="block text-xs">{surge.reason}</span>
+              </div>
+            )}
+
+            {fixedFare && (
+              <div className="text-left text-sm p-2 rounded mb-3 bg-blue-100 text-blue-800">
+                <span className="font-semibold">📍 Flat rate Rs {fixedFare.fare.toFixed(2)}</span>
+                <span className="block text-xs">{fixedFare.from_zone} → {fixedFare.to_zone}</span>
+              </div>
+            )}
+
+            {surcharges.length > 0 && (
+              <div className="text-left text-sm p-2 rounded mb-3 bg-amber-100 text-amber-800">
+                {surcharges.map((surcharge) => (
+                  <span key={`${surcharge.applies_to}-${surcharge.zone}`} className="block">
+                    {surcharge.applies_to === "PICKUP" ? "Pickup" : "Drop-off"} surcharge, {surcharge.zone}: Rs {surcharge.amount.toFixed(2)}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {quoteError && (
+              <div className="text-left text-sm p-2 rounded mb-3 bg-red-100 text-red-800 font-semibold">
+                🚫 {quoteError}
+              </div>
+            )}
+
             {bookingStatus && (
               <div className={`text-sm font-semibold p-2 rounded mb-3 ${
-                bookingStatus === "PENDING" ? "bg-yellow-100 text-yellow-800" :
+                bookingStatus === "PENDING" || bookingStatus === "DRIVER_PENDING" || bookingStatus === "NO_DRIVER_AVAILABLE" ? "bg-yellow-100 text-yellow-800" :
+                bookingStatus === "SCHEDULED" ? "bg-purple-100 text-purple-800" :
                 (bookingStatus === "ACCEPTED" || bookingStatus === "DRIVER_ASSIGNED") ? "bg-green-100 text-green-800" :
                 "bg-red-100 text-red-800"
               }`}>
                 Status: {
-                  bookingStatus === "PENDING" ? "⏳ Finding driver..." : 
+                  bookingStatus === "PENDING" || bookingStatus === "DRIVER_PENDING" ? "⏳ Finding driver..." : 
                   bookingStatus === "DRIVER_ASSIGNED" || bookingStatus === "ACCEPTED" ? "✅ Driver found!" :
+                  bookingStatus === "NO_DRIVER_AVAILABLE" ? "🕒 No driver free yet - we'll contact the next one who comes online" :
+                  bookingStatus === "SCHEDULED" ? "📅 Ride scheduled" :
                   bookingStatus
                 }
               </div>
@@ -536,19 +862,95 @@ Status: PENDING - Finding driver...`
               </div>
             )}
 
+            <div className="text-left mb-3 p-3 bg-gray-50 rounded-lg border border-gray-100">
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setScheduleLater(false)}
+                  className={`flex-1 py-1.5 rounded-lg text-sm font-semibold ${
+                    !scheduleLater ? "bg-blue-600 text-white" : "bg-white text-gray-700 border"
+                  }`}
+                >
+                  Ride Now
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setScheduleLater(true)}
+                  className={`flex-1 py-1.5 rounded-lg text-sm font-semibold ${
+                    scheduleLater ? "bg-blue-600 text-white" : "bg-white text-gray-700 border"
+                  }`}
+                >
+                  Schedule Later
+                </button>
+              </div>
+
+              {scheduleLater && (
+                <div className="mt-3">
+                  <label className="text-xs text-gray-500 uppercase tracking-wider">
+                    Pickup date &amp; time
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={scheduledAt}
+                    min={toLocalInputValue(new Date())}
+                    onChange={(e) => setScheduledAt(e.target.value)}
+                    className="w-full mt-1 p-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="text-left mb-3">
+              {promo ? (
+                <div className="flex items-center justify-between p-2 rounded-lg bg-green-50 border border-green-200 text-sm">
+                  <span className="text-green-800">
+                    🏷️ <span className="font-semibold">{promo.code}</span>
+                    {promoDiscount
+                      ? ` - Rs ${promoDiscount.discount.toFixed(2)} off`
+                      : " - checked again when you book"}
+                  </span>
+                  <button type="button" onClick={removePromo} className="text-xs text-red-600 font-semibold">
+                    Remove
+                  </button>
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="Promo code"
+                    value={promoInput}
+                    onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                    className="flex-1 p-2 rounded-lg border border-gray-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                  />
+                  <button
+                    type="button"
+                    onClick={applyPromo}
+                    disabled={!promoInput.trim() || !fareQuote || isApplyingPromo}
+                    className="px-4 rounded-lg bg-blue-600 text-white text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isApplyingPromo ? "..." : "Apply"}
+                  </button>
+                </div>
+              )}
+            </div>
+
             <p className="text-sm text-gray-600 font-medium mt-4 border-t border-gray-200 pt-3">
               User: <span className="font-semibold">{getCurrentUser()}</span>
             </p>
 
             <button
               onClick={saveRoute}
-              disabled={!destination || routeInfo.distance === 0 || isSubmitting}
+              disabled={!destination || !fareQuote || isSubmitting}
               className="w-full bg-green-600 hover:bg-green-700 text-white py-2.5 rounded-lg font-bold text-base shadow-md transition-all mt-3 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isSubmitting
                 ? "⏳ Submitting..."
-                : routeInfo.distance === 0 && destination
+                : quoteError
+                ? "Not available"
+                : !fareQuote && destination
                 ? "Calculating..."
+                : scheduleLater
+                ? "Schedule Booking"
                 : "Confirm Booking"}
             </button>
 
@@ -556,6 +958,43 @@ Status: PENDING - Finding driver...`
           </div>
         )}
 
+        {tracking && (
+          <div className="absolute top-20 right-4 bg-white shadow-2xl rounded-2xl p-4 w-72 z-50 border border-gray-100">
+            <p className="text-xs text-gray-500 uppercase tracking-wider">
+              {tracking.status === "ONGOING" ? "On the way to your destination"
+                : tracking.status === "ARRIVED" ? "Your driver has arrived"
+                : "Driver on the way"}
+            </p>
+            <p className="font-bold text-lg text-gray-900">🚕 {tracking.driver.name || "Your driver"}</p>
+            <p className="text-sm text-gray-600">
+              {tracking.driver.vehicle_number || ""} {tracking.driver.mobile ? `· ${tracking.driver.mobile}` : ""}
+            </p>
+            <p className="mt-2 text-xl font-bold text-green-700">
+              {tracking.status === "ARRIVED"
+                ? "Waiting at your pickup point"
+                : etaMinutes != null
+                ? `ETA ${etaMinutes} min${tracking.status === "ONGOING" ? "" : " to pickup"}`
+                : driverPos ? "Tracking driver..." : "Waiting for driver location..."}
+            </p>
+          </div>
+        )}
+
+        {receipt && (
+          <div className="absolute top-20 right-4 bg-white shadow-2xl rounded-2xl p-4 w-72 z-50 border border-gray-100">
+            <p className="text-xs text-gray-500 uppercase tracking-wider">Trip complete</p>
+            <p className="font-bold text-lg text-gray-900 mb-2">
+              {receipt.pickup} → {receipt.drop}
+            </p>
+            <FareBreakdown booking={receipt} />
+            <button
+              onClick={() => setReceipt(null)}
+              className="w-full mt-3 bg-gray-900 text-white py-2 rounded-lg font-semibold hover:bg-gray-800 transition"
+            >
+              Close
+            </button>
+          </div>
+        )}
+
         <div className="absolute top-20 left-4 flex flex-col gap-2 z-50">
           <button
             onClick={handleRefresh}
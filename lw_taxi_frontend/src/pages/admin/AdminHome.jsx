@@ -1,5 +1,5 @@
 import { useNavigate } from "react-router-dom";
-import { FaUsers, FaMapMarkedAlt, FaCar, FaFacebookF, FaWhatsapp, FaLinkedinIn } from "react-icons/fa";
+import { FaUsers, FaMapMarkedAlt, FaCar, FaMoneyBillWave, FaTags, FaDrawPolygon, FaFacebookF, FaWhatsapp, FaLinkedinIn } from "react-icons/fa";
 
 export default function AdminHome() {
   const navigate = useNavigate();
@@ -26,7 +26,7 @@ export default function AdminHome() {
 </div>
 
 
-      <div className="relative z-10 w-full max-w-6xl mx-auto grid grid-cols-1 md:grid-cols-3 gap-8 mb-12">
+      <div className="relative z-10 w-full max-w-6xl mx-auto grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 mb-12">
    
         <div
           className="p-6 bg-blue-50/90 backdrop-blur-xl rounded-xl shadow-lg cursor-pointer hover:shadow-2xl transition hover:scale-[1.02] border border-blue-200 flex flex-col items-start gap-4"
@@ -53,6 +53,31 @@ export default function AdminHome() {
           <h2 className="text-xl font-bold text-yellow-800">Driver Grid</h2>
           <p className="text-yellow-700">View drivers and add new drivers.</p>
         </div>
+
+      
+        <div
+          className="p-6 bg-purple-50/90 backdrop-blur-xl rounded-xl shadow-lg cursor-pointer hover:shadow-2xl transition hover:scale-[1.02] border border-purple-200 flex flex-col items-start gap-4"
+          onClick={() => navigate("/admin/tariffs")}>
+          <FaMoneyBillWave className="text-purple-600 text-3xl" />
+          <h2 className="text-xl font-bold text-purple-800">Tariffs</h2>
+          <p className="text-purple-700">Set fare rates and schedule price changes.</p>
+        </div>
+
+        <div
+          className="p-6 bg-pink-50/90 backdrop-blur-xl rounded-xl shadow-lg cursor-pointer hover:shadow-2xl transition hover:scale-[1.02] border border-pink-200 flex flex-col items-start gap-4"
+          onClick={() => navigate("/admin/promos")}>
+          <FaTags className="text-pink-600 text-3xl" />
+          <h2 className="text-xl font-bold text-pink-800">Promo Codes</h2>
+          <p className="text-pink-700">Create discount codes and track redemptions.</p>
+        </div>
+
+        <div
+          className="p-6 bg-teal-50/90 backdrop-blur-xl rounded-xl shadow-lg cursor-pointer hover:shadow-2xl transition hover:scale-[1.02] border border-teal-200 flex flex-col items-start gap-4"
+          onClick={() => navigate("/admin/zones")}>
+          <FaDrawPolygon className="text-teal-600 text-3xl" />
+          <h2 className="text-xl font-bold text-teal-800">Zones</h2>
+          <p className="text-teal-700">Draw areas with flat fares, surcharges or no service.</p>
+        </div>
       </div>
 
  
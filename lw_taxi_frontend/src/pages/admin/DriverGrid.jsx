@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useSocket, useSocketEvent } from '../../context/SocketContext';
 
 const API_URL = 'https://taxibackend-two.vercel.app/api/drivers';
 
+// BUSY drivers are not available either, so status wins over isAvailable when present
+const driverStatus = (driver) => driver.status || (driver.isAvailable ? 'AVAILABLE' : 'OFFLINE');
+
 const getAdminToken = () => {
     return (
         localStorage.getItem("token") || 
@@ -15,7 +19,7 @@ const AdminDriverDashboard = () => {
     const [drivers, setDrivers] = useState([]);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingDriver, setEditingDriver] = useState(null);
-    const [pollingActive, setPollingActive] = useState(false);
+    const { connected } = useSocket();
     const [driverForm, setDriverForm] = useState({
         name: '',
         email: '',
@@ -36,7 +40,7 @@ const AdminDriverDashboard = () => {
             const mappedDrivers = (response.data.drivers || []).map(d => ({
                 ...d,
                 vehicleNumber: d.vehicle_number,
-                status: d.isAvailable ? 'AVAILABLE' : 'OFFLINE'
+                status: driverStatus(d)
             }));
 
             setDrivers(mappedDrivers);
@@ -46,9 +50,20 @@ const AdminDriverDashboard = () => {
         }
     };
 
+    // Live driver changes from the admin operations feed
+    useSocketEvent('ops_feed', (event) => {
+        if (event.type !== 'driver_status') return;
+        setDrivers(prev => prev.map(d => d._id === String(event.driverId) ? {
+            ...d,
+            isAvailable: event.isAvailable,
+            status: driverStatus(event)
+        } : d));
+    });
+
+    // Polling is only a fallback while the socket is down
     useEffect(() => {
         fetchDrivers();
-        setPollingActive(true);
+        if (connected) return;
 
         // Poll every 5 seconds
         const pollInterval = setInterval(() => {
@@ -56,7 +71,7 @@ const AdminDriverDashboard = () => {
         }, 5000);
 
         return () => clearInterval(pollInterval);
-    }, []);
+    }, [connected]);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -126,8 +141,8 @@ const AdminDriverDashboard = () => {
             <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
                 <h1 className="text-xl sm:text-2xl font-bold">DRIVER MANAGEMENT DASHBOARD</h1>
                 <div className="flex gap-2 w-full sm:w-auto">
-                    <span className={`px-2 py-1 rounded-full text-xs sm:text-sm font-medium ${pollingActive ? 'bg-green-500 text-white' : 'bg-gray-400 text-white'}`}>
-                        {pollingActive ? 'Polling Active' : 'Offline'}
+                    <span className={`px-2 py-1 rounded-full text-xs sm:text-sm font-medium bg-green-500 text-white`}>
+                        {connected ? 'Live' : 'Polling Active'}
                     </span>
                     <button
                         onClick={() => { setEditingDriver(null); setDriverForm({ name:'', email:'', mobile:'', password:'', vehicle_number:'' }); setIsModalOpen(true); }}
@@ -0,0 +1,348 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = 'https://taxibackend-two.vercel.app/api/promos';
+
+const EMPTY_FORM = {
+    code: '',
+    description: '',
+    discount_type: 'PERCENT',
+    discount_value: '',
+    max_discount: '',
+    min_fare: '',
+    valid_from: '',
+    valid_until: '',
+    global_limit: '',
+    per_user_limit: '1',
+    first_ride_only: false,
+    active: true
+};
+
+const getAdminToken = () => {
+    return (
+        localStorage.getItem("token") ||
+        localStorage.getItem("adminToken") ||
+        localStorage.getItem("authToken")
+    );
+};
+
+// Formats a Date as the value of a datetime-local input, in local time
+const toLocalInputValue = (date) => {
+    const offsetMs = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const toForm = (promo) => ({
+    code: promo.code,
+    description: promo.description || '',
+    discount_type: promo.discount_type,
+    discount_value: String(promo.discount_value ?? ''),
+    max_discount: String(promo.max_discount ?? ''),
+    min_fare: String(promo.min_fare ?? ''),
+    valid_from: promo.valid_from ? toLocalInputValue(new Date(promo.valid_from)) : '',
+    valid_until: promo.valid_until ? toLocalInputValue(new Date(promo.valid_until)) : '',
+    global_limit: String(promo.global_limit ?? ''),
+    per_user_limit: String(promo.per_user_limit ?? '1'),
+    first_ride_only: Boolean(promo.first_ride_only),
+    active: promo.active
+});
+
+const describeDiscount = (promo) => promo.discount_type === 'PERCENT'
+    ? `${promo.discount_value}%${promo.max_discount != null ? ` (max Rs ${promo.max_discount})` : ''}`
+    : `Rs ${promo.discount_value}`;
+
+const AdminPromoDashboard = () => {
+    const [promos, setPromos] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingPromo, setEditingPromo] = useState(null);
+    const [promoForm, setPromoForm] = useState(EMPTY_FORM);
+    // Promo whose redemptions are listed, with the list once loaded
+    const [redemptionsFor, setRedemptionsFor] = useState(null);
+    const [redemptions, setRedemptions] = useState(null);
+
+    const fetchPromos = () => {
+        const token = getAdminToken();
+        if (!token) return console.error("No admin token found.");
+
+        axios.get(API_URL, {
+            headers: { Authorization: `Bearer ${token}` }
+        })
+            .then((response) => setPromos(response.data.promos || []))
+            .catch((error) => {
+                console.error("Error fetching promo codes:", error.response?.data);
+                setPromos([]);
+            });
+    };
+
+    useEffect(() => {
+        fetchPromos();
+    }, []);
+
+    const openNewPromo = () => {
+        setEditingPromo(null);
+        setPromoForm(EMPTY_FORM);
+        setIsModalOpen(true);
+    };
+
+    const handleEditPromo = (promo) => {
+        setEditingPromo(promo);
+        setPromoForm(toForm(promo));
+        setIsModalOpen(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const token = getAdminToken();
+        if (!token) return;
+
+        const toDate = (value) => (value ? new Date(value).toISOString() : null);
+        const payload = {
+            ...promoForm,
+            valid_from: toDate(promoForm.valid_from),
+            valid_until: toDate(promoForm.valid_until)
+        };
+
+        try {
+            if (editingPromo) {
+                await axios.put(`${API_URL}/${editingPromo._id}`, payload, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                alert("Promo code updated successfully!");
+            } else {
+                await axios.post(API_URL, payload, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                alert("Promo code created successfully!");
+            }
+
+            setIsModalOpen(false);
+            setEditingPromo(null);
+            setPromoForm(EMPTY_FORM);
+            fetchPromos();
+        } catch (error) {
+            alert("Error: " + (error.response?.data?.msg || "Unknown"));
+            console.error(error.response?.data);
+        }
+    };
+
+    const handleDeletePromo = async (promo) => {
+        const question = promo.redemption_count > 0
+            ? "This code has been redeemed, so it will be deactivated instead of deleted. Continue?"
+            : "Delete this promo code?";
+        if (!window.confirm(question)) return;
+
+        try {
+            const response = await axios.delete(`${API_URL}/${promo._id}`, {
+                headers: { Authorization: `Bearer ${getAdminToken()}` }
+            });
+            alert(response.data.msg);
+            fetchPromos();
+        } catch (err) {
+            alert("Error removing promo code: " + (err.response?.data?.msg || "Unknown"));
+        }
+    };
+
+    const showRedemptions = (promo) => {
+        setRedemptionsFor(promo);
+        setRedemptions(null);
+
+        axios.get(`${API_URL}/${promo._id}/redemptions`, {
+            headers: { Authorization: `Bearer ${getAdminToken()}` }
+        })
+            .then((response) => setRedemptions(response.data.redemptions || []))
+            .catch((error) => {
+                console.error("Error fetching redemptions:", error.response?.data);
+                setRedemptions([]);
+            });
+    };
+
+    const getStatusColor = (status) => {
+        switch (status) {
+            case 'SETTLED': return 'bg-green-500';
+            case 'APPLIED': return 'bg-blue-500';
+            case 'RELEASED': return 'bg-gray-400';
+            default: return 'bg-gray-400';
+        }
+    };
+
+    const field = (name, placeholder, props = {}) => (
+        <input placeholder={placeholder} value={promoForm[name]}
+            onChange={(e) => setPromoForm({ ...promoForm, [name]: e.target.value })}
+            className="w-full p-2 border rounded mb-3" {...props} />
+    );
+
+    const checkbox = (name, label) => (
+        <label className="flex items-center gap-2 mb-3 text-sm">
+            <input type="checkbox" checked={promoForm[name]}
+                onChange={(e) => setPromoForm({ ...promoForm, [name]: e.target.checked })} />
+            {label}
+        </label>
+    );
+
+    return (
+        <div className="p-4 sm:p-8">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+                <h1 className="text-xl sm:text-2xl font-bold">PROMO CODE DASHBOARD</h1>
+                <button
+                    onClick={openNewPromo}
+                    className="px-3 sm:px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition text-sm sm:text-base"
+                >
+                    + Add New Code
+                </button>
+            </header>
+
+            <div className="shadow overflow-hidden border-b border-gray-200 sm:rounded-lg overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {['Code', 'Discount', 'Min Fare', 'Valid', 'Redeemed', 'Per Rider', 'Status', 'Actions'].map(heading => (
+                                <th key={heading} className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                            ))}
+                        </tr>
+                    </thead>
+
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {promos.length === 0 ? (
+                            <tr>
+                                <td colSpan="8" className="px-4 sm:px-6 py-4 text-center text-sm text-gray-500">
+                                    {getAdminToken() ? "No promo codes yet" : "Please log in as Admin"}
+                                </td>
+                            </tr>
+                        ) : (
+                            promos.map(promo => (
+                                <tr key={promo._id}>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                        {promo.code}
+                                        {promo.description && <span className="block text-xs text-gray-500 font-normal">{promo.description}</span>}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeDiscount(promo)}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">Rs {promo.min_fare}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {promo.valid_from ? new Date(promo.valid_from).toLocaleDateString() : 'Any time'}
+                                        {' - '}
+                                        {promo.valid_until ? new Date(promo.valid_until).toLocaleDateString() : 'no end'}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {promo.redemption_count}{promo.global_limit != null && ` / ${promo.global_limit}`}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {promo.per_user_limit}{promo.first_ride_only && ', first ride'}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full text-white ${promo.active ? 'bg-green-500' : 'bg-gray-400'}`}>
+                                            {promo.active ? 'ACTIVE' : 'INACTIVE'}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                        <button onClick={() => showRedemptions(promo)} className="text-gray-600 hover:text-gray-900">Redemptions</button>
+                                        <button onClick={() => handleEditPromo(promo)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                                        {promo.active && (
+                                            <button onClick={() => handleDeletePromo(promo)} className="text-red-600 hover:text-red-900">
+                                                {promo.redemption_count > 0 ? 'Deactivate' : 'Delete'}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {redemptionsFor && (
+                <div className="mt-6 shadow border-b border-gray-200 sm:rounded-lg overflow-x-auto bg-white">
+                    <div className="flex justify-between items-center px-4 sm:px-6 py-3">
+                        <h2 className="font-bold">Redemptions of {redemptionsFor.code}</h2>
+                        <button onClick={() => setRedemptionsFor(null)} className="text-sm text-gray-500 hover:text-gray-800">Close</button>
+                    </div>
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {['Date', 'Rider', 'Trip', 'Fare', 'Discount', 'Status'].map(heading => (
+                                    <th key={heading} className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {!redemptions || redemptions.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="px-4 sm:px-6 py-4 text-center text-sm text-gray-500">
+                                        {redemptions ? "Not redeemed yet" : "Loading..."}
+                                    </td>
+                                </tr>
+                            ) : (
+                                redemptions.map(redemption => (
+                                    <tr key={redemption._id}>
+                                        <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(redemption.createdAt).toLocaleString()}</td>
+                                        <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm">{redemption.user?.name || redemption.user?.email || 'Unknown'}</td>
+                                        <td className="px-4 sm:px-6 py-4 text-sm text-gray-500">
+                                            {redemption.booking ? `${redemption.booking.pickup} → ${redemption.booking.drop}` : 'Removed'}
+                                        </td>
+                                        <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">Rs {redemption.fare.toFixed(2)}</td>
+                                        <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">Rs {redemption.discount.toFixed(2)}</td>
+                                        <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full text-white ${getStatusColor(redemption.status)}`}>
+                                                {redemption.status}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {isModalOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+                        <h2 className="text-2xl font-bold mb-4">{editingPromo ? `Edit ${editingPromo.code}` : "Add New Promo Code"}</h2>
+
+                        <form onSubmit={handleSubmit}>
+                            {field('code', 'Code (e.g. WELCOME10)', {
+                                required: true,
+                                onChange: (e) => setPromoForm({ ...promoForm, code: e.target.value.toUpperCase() }),
+                                disabled: editingPromo?.redemption_count > 0
+                            })}
+                            {field('description', 'Description')}
+
+                            <div className="flex gap-2 mb-3">
+                                <select value={promoForm.discount_type}
+                                    onChange={(e) => setPromoForm({ ...promoForm, discount_type: e.target.value })}
+                                    className="flex-1 p-2 border rounded">
+                                    <option value="PERCENT">Percentage off</option>
+                                    <option value="FIXED">Fixed amount off</option>
+                                </select>
+                                <input placeholder={promoForm.discount_type === 'PERCENT' ? '%' : 'Rs'} type="number" min="0" step="0.01"
+                                    max={promoForm.discount_type === 'PERCENT' ? 100 : undefined}
+                                    value={promoForm.discount_value}
+                                    onChange={(e) => setPromoForm({ ...promoForm, discount_value: e.target.value })}
+                                    className="w-28 p-2 border rounded" required />
+                            </div>
+
+                            {promoForm.discount_type === 'PERCENT' && field('max_discount', 'Maximum discount (Rs, optional)', { type: 'number', min: 0, step: '0.01' })}
+                            {field('min_fare', 'Minimum fare (Rs, optional)', { type: 'number', min: 0, step: '0.01' })}
+                            {field('global_limit', 'Total uses (optional)', { type: 'number', min: 1, step: 1 })}
+                            {field('per_user_limit', 'Uses per rider', { type: 'number', min: 1, step: 1, required: true })}
+
+                            <label className="text-xs text-gray-500 uppercase tracking-wider">Valid from (optional)</label>
+                            {field('valid_from', '', { type: 'datetime-local' })}
+                            <label className="text-xs text-gray-500 uppercase tracking-wider">Valid until (optional)</label>
+                            {field('valid_until', '', { type: 'datetime-local' })}
+
+                            {checkbox('first_ride_only', "Only on a rider's first ride")}
+                            {checkbox('active', 'Active')}
+
+                            <div className="flex justify-end mt-4 gap-2">
+                                <button type="button" onClick={() => { setIsModalOpen(false); setEditingPromo(null); }} className="px-4 py-2 border rounded hover:bg-gray-50">Cancel</button>
+                                <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700">{editingPromo ? "Update Code" : "Create Code"}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AdminPromoDashboard;
@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = 'https://taxibackend-two.vercel.app/api/tariffs';
+
+const EMPTY_FORM = {
+    name: '',
+    base_fare: '',
+    per_km: '',
+    per_minute: '',
+    minimum_fare: '',
+    waiting_free_minutes: '',
+    waiting_per_minute: '',
+    rounding_mode: 'nearest',
+    rounding_step: '10',
+    effective_from: ''
+};
+
+// Price fields that default to 0 when left empty
+const OPTIONAL_FIELDS = ['minimum_fare', 'waiting_free_minutes', 'waiting_per_minute'];
+
+const getAdminToken = () => {
+    return (
+        localStorage.getItem("token") ||
+        localStorage.getItem("adminToken") ||
+        localStorage.getItem("authToken")
+    );
+};
+
+// Formats a Date as the value of a datetime-local input, in local time
+const toLocalInputValue = (date) => {
+    const offsetMs = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const toForm = (tariff) => ({
+    name: tariff.name || '',
+    base_fare: String(tariff.base_fare ?? ''),
+    per_km: String(tariff.per_km ?? ''),
+    per_minute: String(tariff.per_minute ?? ''),
+    minimum_fare: String(tariff.minimum_fare ?? ''),
+    waiting_free_minutes: String(tariff.waiting_free_minutes ?? ''),
+    waiting_per_minute: String(tariff.waiting_per_minute ?? ''),
+    rounding_mode: tariff.rounding?.mode || 'nearest',
+    rounding_step: String(tariff.rounding?.step ?? '10'),
+    effective_from: ''
+});
+
+const AdminTariffDashboard = () => {
+    const [tariffs, setTariffs] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    // Only versions that have not taken effect yet can be edited
+    const [editingTariff, setEditingTariff] = useState(null);
+    const [tariffForm, setTariffForm] = useState(EMPTY_FORM);
+
+    const fetchTariffs = () => {
+        const token = getAdminToken();
+        if (!token) return console.error("No admin token found.");
+
+        axios.get(API_URL, {
+            headers: { Authorization: `Bearer ${token}` }
+        })
+            .then((response) => setTariffs(response.data.tariffs || []))
+            .catch((error) => {
+                console.error("Error fetching tariffs:", error.response?.data);
+                setTariffs([]);
+            });
+    };
+
+    useEffect(() => {
+        fetchTariffs();
+    }, []);
+
+    const openNewVersion = () => {
+        // A new version starts from the prices in effect
+        const current = tariffs.find(t => t.state === 'IN_EFFECT');
+        setEditingTariff(null);
+        setTariffForm(current ? toForm(current) : EMPTY_FORM);
+        setIsModalOpen(true);
+    };
+
+    const handleEditTariff = (tariff) => {
+        setEditingTariff(tariff);
+        setTariffForm({ ...toForm(tariff), effective_from: toLocalInputValue(new Date(tariff.effective_from)) });
+        setIsModalOpen(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const token = getAdminToken();
+        if (!token) return;
+
+        const payload = {
+            name: tariffForm.name,
+            base_fare: Number(tariffForm.base_fare),
+            per_km: Number(tariffForm.per_km),
+            per_minute: Number(tariffForm.per_minute),
+            minimum_fare: Number(tariffForm.minimum_fare || 0),
+            waiting_free_minutes: Number(tariffForm.waiting_free_minutes || 0),
+            waiting_per_minute: Number(tariffForm.waiting_per_minute || 0),
+            rounding: { mode: tariffForm.rounding_mode, step: Number(tariffForm.rounding_step || 0) },
+            ...(tariffForm.effective_from && { effective_from: new Date(tariffForm.effective_from).toISOString() })
+        };
+
+        try {
+            if (editingTariff) {
+                await axios.put(`${API_URL}/${editingTariff._id}`, payload, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                alert("Tariff updated successfully!");
+            } else {
+                await axios.post(API_URL, payload, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                alert("Tariff published successfully!");
+            }
+
+            setIsModalOpen(false);
+            setEditingTariff(null);
+            setTariffForm(EMPTY_FORM);
+            fetchTariffs();
+        } catch (error) {
+            alert("Error: " + (error.response?.data?.msg || "Unknown"));
+            console.error(error.response?.data);
+        }
+    };
+
+    const handleDeleteTariff = async (tariff) => {
+        const question = tariff.state === 'SCHEDULED'
+            ? "Delete this scheduled tariff?"
+            : "Retire this tariff? Bookings quoted under it keep their fare, and the previous version takes over.";
+        if (!window.confirm(question)) return;
+
+        try {
+            const response = await axios.delete(`${API_URL}/${tariff._id}`, {
+                headers: { Authorization: `Bearer ${getAdminToken()}` }
+            });
+            alert(response.data.msg);
+            fetchTariffs();
+        } catch (err) {
+            alert("Error removing tariff: " + (err.response?.data?.msg || "Unknown"));
+        }
+    };
+
+    const getStateColor = (state) => {
+        switch (state) {
+            case 'IN_EFFECT': return 'bg-green-500';
+            case 'SCHEDULED': return 'bg-blue-500';
+            case 'SUPERSEDED': return 'bg-gray-400';
+            case 'RETIRED': return 'bg-red-500';
+            default: return 'bg-gray-400';
+        }
+    };
+
+    const numberField = (field, placeholder) => (
+        <input placeholder={placeholder} type="number" min="0" step="0.01" value={tariffForm[field]}
+            onChange={(e) => setTariffForm({ ...tariffForm, [field]: e.target.value })}
+            className="w-full p-2 border rounded mb-3" required={!OPTIONAL_FIELDS.includes(field)} />
+    );
+
+    return (
+        <div className="p-4 sm:p-8">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+                <h1 className="text-xl sm:text-2xl font-bold">TARIFF MANAGEMENT DASHBOARD</h1>
+                <button
+                    onClick={openNewVersion}
+                    className="px-3 sm:px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition text-sm sm:text-base"
+                >
+                    + Publish New Version
+                </button>
+            </header>
+
+            <div className="shadow overflow-hidden border-b border-gray-200 sm:rounded-lg overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {['Version', 'Name', 'Base', 'Per km', 'Per min', 'Minimum', 'Waiting', 'Rounding', 'Effective From', 'State', 'Actions'].map(heading => (
+                                <th key={heading} className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                            ))}
+                        </tr>
+                    </thead>
+
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {tariffs.length === 0 ? (
+                            <tr>
+                                <td colSpan="11" className="px-4 sm:px-6 py-4 text-center text-sm text-gray-500">
+                                    {getAdminToken() ? "No tariffs yet - fares use the default rates" : "Please log in as Admin"}
+                                </td>
+                            </tr>
+                        ) : (
+                            tariffs.map(tariff => (
+                                <tr key={tariff._id}>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium">v{tariff.version}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm">{tariff.name}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">Rs {tariff.base_fare}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">Rs {tariff.per_km}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">Rs {tariff.per_minute}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">Rs {tariff.minimum_fare}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        Rs {tariff.waiting_per_minute ?? 0}/min, {tariff.waiting_free_minutes ?? 0} min free
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {tariff.rounding?.mode === 'none' ? 'None' : `${tariff.rounding?.mode} ${tariff.rounding?.step}`}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(tariff.effective_from).toLocaleString()}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full text-white ${getStateColor(tariff.state)}`}>
+                                            {tariff.state.replace('_', ' ')}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                        {tariff.state === 'SCHEDULED' && (
+                                            <button onClick={() => handleEditTariff(tariff)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                                        )}
+                                        {tariff.state !== 'RETIRED' && (
+                                            <button onClick={() => handleDeleteTariff(tariff)} className="text-red-600 hover:text-red-900">
+                                                {tariff.state === 'SCHEDULED' ? 'Delete' : 'Retire'}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {isModalOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md">
+                        <h2 className="text-2xl font-bold mb-4">{editingTariff ? `Edit Tariff v${editingTariff.version}` : "Publish New Tariff"}</h2>
+
+                        <form onSubmit={handleSubmit}>
+                            <input placeholder="Name" value={tariffForm.name}
+                                onChange={(e) => setTariffForm({ ...tariffForm, name: e.target.value })}
+                                className="w-full p-2 border rounded mb-3" required />
+
+                            {numberField('base_fare', 'Base fare (Rs)')}
+                            {numberField('per_km', 'Rate per km (Rs)')}
+                            {numberField('per_minute', 'Rate per minute (Rs)')}
+                            {numberField('minimum_fare', 'Minimum fare (Rs)')}
+                            {numberField('waiting_free_minutes', 'Free waiting minutes per trip')}
+                            {numberField('waiting_per_minute', 'Waiting rate per minute (Rs)')}
+
+                            <div className="flex gap-2 mb-3">
+                                <select value={tariffForm.rounding_mode}
+                                    onChange={(e) => setTariffForm({ ...tariffForm, rounding_mode: e.target.value })}
+                                    className="flex-1 p-2 border rounded">
+                                    <option value="nearest">Round to nearest</option>
+                                    <option value="up">Round up</option>
+                                    <option value="down">Round down</option>
+                                    <option value="none">No rounding</option>
+                                </select>
+                                <input placeholder="Step (Rs)" type="number" min="0" step="0.01" value={tariffForm.rounding_step}
+                                    onChange={(e) => setTariffForm({ ...tariffForm, rounding_step: e.target.value })}
+                                    className="w-28 p-2 border rounded" disabled={tariffForm.rounding_mode === 'none'} />
+                            </div>
+
+                            <label className="text-xs text-gray-500 uppercase tracking-wider">
+                                Effective from (leave empty for now)
+                            </label>
+                            <input type="datetime-local" value={tariffForm.effective_from}
+                                min={toLocalInputValue(new Date())}
+                                onChange={(e) => setTariffForm({ ...tariffForm, effective_from: e.target.value })}
+                                className="w-full p-2 border rounded mb-3" />
+
+                            <div className="flex justify-end mt-4 gap-2">
+                                <button type="button" onClick={() => { setIsModalOpen(false); setEditingTariff(null); }} className="px-4 py-2 border rounded hover:bg-gray-50">Cancel</button>
+                                <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700">{editingTariff ? "Update Tariff" : "Publish Tariff"}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AdminTariffDashboard;
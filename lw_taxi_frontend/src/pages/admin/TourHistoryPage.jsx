@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react";
 import axios from "axios";
+import FareBreakdown from "../../components/FareBreakdown";
 
 const BOOKINGS_API = "https://taxibackend-two.vercel.app/api/bookings";
 
@@ -81,6 +82,7 @@ export default function TourHistoryPage() {
                 <th className="px-4 py-3 text-left text-sm font-semibold">Fare (Rs)</th>
                 <th className="px-4 py-3 text-left text-sm font-semibold">Status</th>
                 <th className="px-4 py-3 text-left text-sm font-semibold">Payment</th>
+                <th className="px-4 py-3 text-left text-sm font-semibold">Offer History</th>
               </tr>
             </thead>
             <tbody>
@@ -108,6 +110,21 @@ export default function TourHistoryPage() {
 
 <td className="px-4 py-3 border-b text-sm font-semibold text-green-600">
   Rs {b.estimatedFare ?? b.estimated_fare ?? 0}
+  {b.promo && (
+    <span className="block text-xs font-normal text-pink-700 whitespace-nowrap">
+      {b.promo.code} -Rs {b.discount}
+    </span>
+  )}
+  {b.final_fare != null && (
+    <details className="mt-1 font-normal text-gray-700">
+      <summary className="cursor-pointer whitespace-nowrap text-green-700 font-semibold">
+        Final Rs {b.final_fare}
+      </summary>
+      <div className="mt-2 w-56">
+        <FareBreakdown booking={b} />
+      </div>
+    </details>
+  )}
 </td>
                     <td className="px-4 py-3 border-b text-sm">
                       <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
@@ -115,10 +132,16 @@ export default function TourHistoryPage() {
                         : b.status === 'DRIVER_PENDING' ? 'bg-yellow-100 text-yellow-700'
                         : b.status === 'CANCELLED' ? 'bg-red-100 text-red-700'
                         : b.status === 'NO_DRIVER_AVAILABLE' ? 'bg-gray-100 text-gray-700'
+                        : b.status === 'SCHEDULED' ? 'bg-purple-100 text-purple-700'
                         : 'bg-green-100 text-green-700'
                       }`}>
                         {b.status || "N/A"}
                       </span>
+                      {b.scheduled_at && (
+                        <p className="text-xs text-gray-500 mt-1 whitespace-nowrap">
+                          📅 {new Date(b.scheduled_at).toLocaleString()}
+                        </p>
+                      )}
                     </td>
                     <td className="px-4 py-3 border-b text-sm">
                       <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
@@ -127,6 +150,30 @@ export default function TourHistoryPage() {
                         {b.payment_status || "PENDING"}
                       </span>
                     </td>
+                    <td className="px-4 py-3 border-b text-xs">
+                      {b.offers?.length ? (
+                        <ul className="space-y-1">
+                          {b.offers.map((offer) => (
+                            <li key={offer._id} className="whitespace-nowrap">
+                              <span className="font-medium">{offer.driver?.name || "Removed driver"}</span>{" "}
+                              <span className={`px-2 py-0.5 rounded-full font-semibold ${
+                                offer.outcome === 'ACCEPTED' ? 'bg-green-100 text-green-700'
+                                : offer.outcome === 'REJECTED' ? 'bg-red-100 text-red-700'
+                                : offer.outcome === 'EXPIRED' ? 'bg-gray-100 text-gray-700'
+                                : 'bg-yellow-100 text-yellow-700'
+                              }`}>
+                                {offer.outcome}
+                              </span>{" "}
+                              <span className="text-gray-500">
+                                {new Date(offer.offered_at).toLocaleTimeString()}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-gray-400">No offers</span>
+                      )}
+                    </td>
                   </tr>
                 );
               })}
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, Polygon, CircleMarker, Tooltip, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import axios from 'axios';
+
+const API_URL = 'https://taxibackend-two.vercel.app/api/zones';
+
+const sriLankaBounds = [
+    [5.9189, 79.6524],
+    [9.8293, 81.9623],
+];
+const centerSriLanka = [7.8731, 80.7718];
+
+const EMPTY_FORM = {
+    name: '',
+    // Corners as Leaflet [lat, lng] pairs, in drawing order
+    points: [],
+    no_service: false,
+    pickup_surcharge: '',
+    drop_surcharge: '',
+    fixed_fares: [],
+    active: true
+};
+
+const getAdminToken = () => {
+    return (
+        localStorage.getItem("token") ||
+        localStorage.getItem("adminToken") ||
+        localStorage.getItem("authToken")
+    );
+};
+
+// Zones are stored as GeoJSON, [lng, lat] with the first corner repeated at the end
+const toLatLngs = (area) => area.coordinates[0].slice(0, -1).map(([lng, lat]) => [lat, lng]);
+const toGeoJson = (points) => ({
+    type: 'Polygon',
+    coordinates: [[...points, points[0]].map(([lat, lng]) => [lng, lat])]
+});
+
+const toForm = (zone) => ({
+    name: zone.name,
+    points: toLatLngs(zone.area),
+    no_service: zone.no_service,
+    pickup_surcharge: String(zone.pickup_surcharge || ''),
+    drop_surcharge: String(zone.drop_surcharge || ''),
+    fixed_fares: (zone.fixed_fares || []).map(({ to_zone, fare }) => ({ to_zone, fare: String(fare) })),
+    active: zone.active
+});
+
+const zoneColor = (zone) => (zone.no_service ? 'red' : zone.fixed_fares?.length ? 'blue' : 'orange');
+
+// Adds a corner wherever the map is clicked
+const CornerPicker = ({ onPick }) => {
+    useMapEvents({ click: (e) => onPick([e.latlng.lat, e.latlng.lng]) });
+    return null;
+};
+
+const AdminZoneDashboard = () => {
+    const [zones, setZones] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingZone, setEditingZone] = useState(null);
+    const [zoneForm, setZoneForm] = useState(EMPTY_FORM);
+
+    const fetchZones = () => {
+        const token = getAdminToken();
+        if (!token) return console.error("No admin token found.");
+
+        axios.get(API_URL, {
+            headers: { Authorization: `Bearer ${token}` }
+        })
+            .then((response) => setZones(response.data.zones || []))
+            .catch((error) => {
+                console.error("Error fetching zones:", error.response?.data);
+                setZones([]);
+            });
+    };
+
+    useEffect(() => {
+        fetchZones();
+    }, []);
+
+    const zoneName = (zoneId) => zones.find(z => z._id === zoneId)?.name || 'Unknown zone';
+
+    const openNewZone = () => {
+        setEditingZone(null);
+        setZoneForm(EMPTY_FORM);
+        setIsModalOpen(true);
+    };
+
+    const handleEditZone = (zone) => {
+        setEditingZone(zone);
+        setZoneForm(toForm(zone));
+        setIsModalOpen(true);
+    };
+
+    const closeModal = () => {
+        setIsModalOpen(false);
+        setEditingZone(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const token = getAdminToken();
+        if (!token) return;
+
+        if (zoneForm.points.length < 3) {
+            alert("Click the map to mark at least 3 corners of the zone.");
+            return;
+        }
+
+        const payload = {
+            name: zoneForm.name,
+            area: toGeoJson(zoneForm.points),
+            no_service: zoneForm.no_service,
+            pickup_surcharge: Number(zoneForm.pickup_surcharge || 0),
+            drop_surcharge: Number(zoneForm.drop_surcharge || 0),
+            fixed_fares: zoneForm.fixed_fares.map(({ to_zone, fare }) => ({ to_zone, fare: Number(fare) })),
+            active: zoneForm.active
+        };
+
+        try {
+            if (editingZone) {
+                await axios.put(`${API_URL}/${editingZone._id}`, payload, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                alert("Zone updated successfully!");
+            } else {
+                await axios.post(API_URL, payload, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                alert("Zone created successfully!");
+            }
+
+            closeModal();
+            setZoneForm(EMPTY_FORM);
+            fetchZones();
+        } catch (error) {
+            alert("Error: " + (error.response?.data?.msg || "Unknown"));
+            console.error(error.response?.data);
+        }
+    };
+
+    const handleDeleteZone = async (zone) => {
+        if (!window.confirm(`Delete ${zone.name}? Flat fares from other zones into it are removed too. Booked rides keep their fares.`)) return;
+
+        try {
+            const response = await axios.delete(`${API_URL}/${zone._id}`, {
+                headers: { Authorization: `Bearer ${getAdminToken()}` }
+            });
+            alert(response.data.msg);
+            fetchZones();
+        } catch (err) {
+            alert("Error deleting zone: " + (err.response?.data?.msg || "Unknown"));
+        }
+    };
+
+    const setFixedFare = (index, changes) => {
+        const fixed_fares = zoneForm.fixed_fares.map((row, i) => (i === index ? { ...row, ...changes } : row));
+        setZoneForm({ ...zoneForm, fixed_fares });
+    };
+
+    const addFixedFare = () => {
+        setZoneForm({ ...zoneForm, fixed_fares: [...zoneForm.fixed_fares, { to_zone: zones[0]?._id || '', fare: '' }] });
+    };
+
+    const removeFixedFare = (index) => {
+        setZoneForm({ ...zoneForm, fixed_fares: zoneForm.fixed_fares.filter((_, i) => i !== index) });
+    };
+
+    const describeRules = (zone) => {
+        if (zone.no_service) return 'No service';
+        const rules = [];
+        if (zone.pickup_surcharge) rules.push(`Pickup +Rs ${zone.pickup_surcharge}`);
+        if (zone.drop_surcharge) rules.push(`Drop-off +Rs ${zone.drop_surcharge}`);
+        return rules.join(', ') || '-';
+    };
+
+    return (
+        <div className="p-4 sm:p-8">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+                <h1 className="text-xl sm:text-2xl font-bold">ZONE MANAGEMENT DASHBOARD</h1>
+                <button
+                    onClick={openNewZone}
+                    className="px-3 sm:px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition text-sm sm:text-base"
+                >
+                    + Add New Zone
+                </button>
+            </header>
+
+            <div className="rounded-lg overflow-hidden shadow mb-6 relative z-0">
+                <MapContainer center={centerSriLanka} zoom={7} minZoom={7} maxBounds={sriLankaBounds} style={{ height: "320px", width: "100%" }}>
+                    <TileLayer
+                        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                        attribution="&copy; OpenStreetMap contributors" />
+                    {zones.map(zone => (
+                        <Polygon key={zone._id} positions={toLatLngs(zone.area)}
+                            pathOptions={{ color: zoneColor(zone), dashArray: zone.active ? null : '6' }}>
+                            <Tooltip>{zone.name}</Tooltip>
+                        </Polygon>
+                    ))}
+                </MapContainer>
+            </div>
+
+            <div className="shadow overflow-hidden border-b border-gray-200 sm:rounded-lg overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {['Name', 'Surcharges', 'Flat Fares', 'Status', 'Actions'].map(heading => (
+                                <th key={heading} className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                            ))}
+                        </tr>
+                    </thead>
+
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {zones.length === 0 ? (
+                            <tr>
+                                <td colSpan="5" className="px-4 sm:px-6 py-4 text-center text-sm text-gray-500">
+                                    {getAdminToken() ? "No zones yet - every ride is priced by the tariff" : "Please log in as Admin"}
+                                </td>
+                            </tr>
+                        ) : (
+                            zones.map(zone => (
+                                <tr key={zone._id}>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium">{zone.name}</td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeRules(zone)}</td>
+                                    <td className="px-4 sm:px-6 py-4 text-sm text-gray-500">
+                                        {zone.fixed_fares?.length
+                                            ? zone.fixed_fares.map(({ to_zone, fare }) => (
+                                                <span key={to_zone} className="block whitespace-nowrap">→ {zoneName(to_zone)}: Rs {fare}</span>
+                                            ))
+                                            : '-'}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full text-white ${zone.active ? 'bg-green-500' : 'bg-gray-400'}`}>
+                                            {zone.active ? 'ACTIVE' : 'INACTIVE'}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                        <button onClick={() => handleEditZone(zone)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                                        <button onClick={() => handleDeleteZone(zone)} className="text-red-600 hover:text-red-900">Delete</button>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {isModalOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-3xl max-h-full overflow-y-auto">
+                        <h2 className="text-2xl font-bold mb-4">{editingZone ? `Edit ${editingZone.name}` : "Add New Zone"}</h2>
+
+                        <form onSubmit={handleSubmit}>
+                            <input placeholder="Name (e.g. Bandaranaike Airport)" value={zoneForm.name}
+                                onChange={(e) => setZoneForm({ ...zoneForm, name: e.target.value })}
+                                className="w-full p-2 border rounded mb-3" required />
+
+                            <p className="text-xs text-gray-500 mb-1">
+                                Click the map to mark the corners of the zone ({zoneForm.points.length} marked).
+                            </p>
+                            <div className="rounded overflow-hidden border mb-2">
+                                <MapContainer
+                                    center={zoneForm.points[0] || centerSriLanka}
+                                    zoom={zoneForm.points.length ? 13 : 8}
+                                    maxBounds={sriLankaBounds}
+                                    style={{ height: "300px", width: "100%" }}>
+                                    <TileLayer
+                                        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                                        attribution="&copy; OpenStreetMap contributors" />
+                                    <CornerPicker onPick={(point) => setZoneForm(form => ({ ...form, points: [...form.points, point] }))} />
+                                    {zoneForm.points.length >= 3 && <Polygon positions={zoneForm.points} />}
+                                    {zoneForm.points.map((point, i) => (
+                                        <CircleMarker key={i} center={point} radius={4} />
+                                    ))}
+                                </MapContainer>
+                            </div>
+                            <div className="flex gap-2 mb-3">
+                                <button type="button" disabled={!zoneForm.points.length}
+                                    onClick={() => setZoneForm({ ...zoneForm, points: zoneForm.points.slice(0, -1) })}
+                                    className="px-3 py-1 border rounded text-sm hover:bg-gray-50 disabled:opacity-50">Undo corner</button>
+                                <button type="button" disabled={!zoneForm.points.length}
+                                    onClick={() => setZoneForm({ ...zoneForm, points: [] })}
+                                    className="px-3 py-1 border rounded text-sm hover:bg-gray-50 disabled:opacity-50">Clear</button>
+                            </div>
+
+                            <label className="flex items-center gap-2 mb-3 text-sm">
+                                <input type="checkbox" checked={zoneForm.no_service}
+                                    onChange={(e) => setZoneForm({ ...zoneForm, no_service: e.target.checked })} />
+                                No service - refuse rides starting or ending here
+                            </label>
+
+                            {!zoneForm.no_service && (
+                                <>
+                                    <div className="flex gap-2 mb-3">
+                                        <input placeholder="Pickup surcharge (Rs)" type="number" min="0" step="0.01" value={zoneForm.pickup_surcharge}
+                                            onChange={(e) => setZoneForm({ ...zoneForm, pickup_surcharge: e.target.value })}
+                                            className="flex-1 p-2 border rounded" />
+                                        <input placeholder="Drop-off surcharge (Rs)" type="number" min="0" step="0.01" value={zoneForm.drop_surcharge}
+                                            onChange={(e) => setZoneForm({ ...zoneForm, drop_surcharge: e.target.value })}
+                                            className="flex-1 p-2 border rounded" />
+                                    </div>
+
+                                    <p className="text-xs text-gray-500 uppercase tracking-wider mb-1">Flat fares from this zone</p>
+                                    {zoneForm.fixed_fares.map((row, i) => (
+                                        <div key={i} className="flex gap-2 mb-2">
+                                            <select value={row.to_zone} onChange={(e) => setFixedFare(i, { to_zone: e.target.value })}
+                                                className="flex-1 p-2 border rounded" required>
+                                                {editingZone && <option value={editingZone._id}>Within {editingZone.name}</option>}
+                                                {zones.filter(z => z._id !== editingZone?._id).map(z => (
+                                                    <option key={z._id} value={z._id}>To {z.name}</option>
+                                                ))}
+                                            </select>
+                                            <input placeholder="Fare (Rs)" type="number" min="0" step="0.01" value={row.fare}
+                                                onChange={(e) => setFixedFare(i, { fare: e.target.value })}
+                                                className="w-32 p-2 border rounded" required />
+                                            <button type="button" onClick={() => removeFixedFare(i)} className="px-2 text-red-600 hover:text-red-900">✕</button>
+                                        </div>
+                                    ))}
+                                    <button type="button" onClick={addFixedFare} disabled={!zones.length}
+                                        className="text-sm text-indigo-600 hover:text-indigo-900 mb-3 disabled:opacity-50">
+                                        + Add flat fare
+                                    </button>
+                                </>
+                            )}
+
+                            <label className="flex items-center gap-2 mb-3 text-sm">
+                                <input type="checkbox" checked={zoneForm.active}
+                                    onChange={(e) => setZoneForm({ ...zoneForm, active: e.target.checked })} />
+                                Active
+                            </label>
+
+                            <div className="flex justify-end mt-4 gap-2">
+                                <button type="button" onClick={closeModal} className="px-4 py-2 border rounded hover:bg-gray-50">Cancel</button>
+                                <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700">{editingZone ? "Update Zone" : "Create Zone"}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AdminZoneDashboard;
@@ -1,9 +1,14 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import axios from "axios";
 import { useParams, useNavigate } from "react-router-dom";
 import { MapPin, Clock, CreditCard } from "lucide-react";
+import { useSocket } from "../../context/SocketContext";
+import FareBreakdown from "../../components/FareBreakdown";
 
 const API_BASE_URL = "https://taxibackend-two.vercel.app/api";
+// Comfortably above the server's minimum of 3s between updates (Config/tracking.js),
+// so network jitter does not get positions dropped as THROTTLED
+const LOCATION_INTERVAL_MS = 5000;
 
 export default function DriverBooking() {
   const { bookingId } = useParams();
@@ -15,6 +20,9 @@ export default function DriverBooking() {
   const [tripStarted, setTripStarted] = useState(false);
   const [tripCompleted, setTripCompleted] = useState(false);
   const [processingPayment, setProcessingPayment] = useState(false);
+  const [sharingLocation, setSharingLocation] = useState(false);
+  const lastLocationSentRef = useRef(0);
+  const { socket, connected } = useSocket();
 
   const fetchBooking = async () => {
     try {
@@ -34,6 +42,83 @@ export default function DriverBooking() {
     fetchBooking();
   }, []);
 
+  // Streams the driver's position to the rider while the ride is active
+  const rideActive = ["DRIVER_ASSIGNED", "ARRIVED", "ONGOING"].includes(booking?.status);
+
+  // Waiting is paid beyond the tariff's free minutes: at the pickup once
+  // arrived, and at stops during the trip
+  const arrivedAt = booking?.arrived_at ?? booking?.booking?.arrived_at;
+  const openStop = (booking?.stops ?? booking?.booking?.stops ?? []).find((stop) => !stop.ended_at);
+  const waitingSince = booking?.status === "ARRIVED" ? arrivedAt : openStop?.started_at;
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!waitingSince) return;
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, [waitingSince]);
+
+  const waitedMinutes = waitingSince
+    ? Math.max(0, Math.floor((now - new Date(waitingSince).getTime()) / 60000))
+    : 0;
+
+  useEffect(() => {
+    if (!rideActive || !connected || !navigator.geolocation) return;
+
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        const now = Date.now();
+        if (now - lastLocationSentRef.current < LOCATION_INTERVAL_MS) return;
+        lastLocationSentRef.current = now;
+
+        socket.emit("driver_location", {
+          coords: [position.coords.latitude, position.coords.longitude],
+          heading: position.coords.heading,
+          accuracy: position.coords.accuracy,
+        });
+        setSharingLocation(true);
+      },
+      (error) => {
+        console.warn("Geolocation unavailable:", error.message);
+        setSharingLocation(false);
+      },
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 10000 }
+    );
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      setSharingLocation(false);
+    };
+  }, [rideActive, connected, socket]);
+
+  const handleArrived = async () => {
+    try {
+      const response = await axios.patch(
+        `${API_BASE_URL}/bookings/${bookingId}/status`,
+        { status: "ARRIVED" },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setBooking(response.data.booking);
+      setNow(Date.now());
+    } catch (err) {
+      alert(`Failed to mark arrival: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const handleWaiting = async (waiting) => {
+    try {
+      const response = await axios.patch(
+        `${API_BASE_URL}/bookings/${bookingId}/waiting`,
+        { waiting },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setBooking(response.data.booking);
+      setNow(Date.now());
+    } catch (err) {
+      alert(`Failed to update waiting: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
   const handleStartTrip = async () => {
     try {
       const response = await axios.patch(
@@ -96,6 +181,12 @@ export default function DriverBooking() {
       <div className="bg-white/80 backdrop-blur-xl shadow-2xl rounded-2xl p-6 border border-green-200">
         <h2 className="text-3xl font-bold text-gray-800 mb-5">TOUR SUMMARY</h2>
 
+        {rideActive && (
+          <p className={`mb-4 text-sm font-medium ${sharingLocation ? "text-green-700" : "text-gray-500"}`}>
+            {sharingLocation ? "📡 Sharing your live location with the passenger" : "📡 Waiting for GPS..."}
+          </p>
+        )}
+
         <div className="space-y-5">
           <div className="flex items-center gap-3 p-4 rounded-xl bg-green-50 border">
             <MapPin className="text-green-600" size={22} />
@@ -154,8 +245,26 @@ export default function DriverBooking() {
         <div className="mt-5 px-4 py-3 rounded-xl text-center bg-gray-100 text-gray-700 font-semibold">
           Status: {booking.status}
         </div>
+
+        {waitingSince && (
+          <div className="mt-3 px-4 py-3 rounded-xl text-center bg-amber-50 border border-amber-200 text-amber-800 font-semibold">
+            ⏱️ {booking.status === "ARRIVED" ? "Waiting at pickup" : "Waiting at stop"}: {waitedMinutes} min
+            <span className="block text-xs font-normal">
+              since {new Date(waitingSince).toLocaleTimeString()}
+            </span>
+          </div>
+        )}
       </div>
 
+      {!tripStarted && !tripCompleted && booking.status === "DRIVER_ASSIGNED" && (
+        <button
+          onClick={handleArrived}
+          className="w-full mt-5 py-4 bg-amber-500 text-white font-bold rounded-xl shadow-lg hover:bg-amber-600 transition-transform hover:scale-[1.02]"
+        >
+          Arrived at Pickup
+        </button>
+      )}
+
       {!tripStarted && !tripCompleted && (
         <button
           onClick={handleStartTrip}
@@ -165,6 +274,17 @@ export default function DriverBooking() {
         </button>
       )}
 
+      {tripStarted && !tripCompleted && (
+        <button
+          onClick={() => handleWaiting(!openStop)}
+          className={`w-full mt-5 py-4 text-white font-bold rounded-xl shadow-lg transition-transform hover:scale-[1.02] ${
+            openStop ? "bg-blue-600 hover:bg-blue-700" : "bg-amber-500 hover:bg-amber-600"
+          }`}
+        >
+          {openStop ? "Resume Trip" : "Start Waiting"}
+        </button>
+      )}
+
       {tripStarted && !tripCompleted && (
         <button
           onClick={handleCompleteTrip}
@@ -182,16 +302,23 @@ export default function DriverBooking() {
           </h3>
 
           <div className="p-4 bg-green-50 border border-green-200 rounded-xl mb-4">
-            <p className="flex justify-between text-lg mb-2">
-              <span className="font-semibold text-gray-700">Trip Fare:</span>
-              <span className="font-bold text-green-700">
-                Rs {booking.estimated_fare}
-              </span>
-            </p>
-            <p className="text-sm text-gray-600">
-              Distance: {booking.distance_km} km • Duration:{" "}
-              {booking.time_minutes} mins
-            </p>
+            {booking.final_fare != null ? (
+              // Settled from the trip as driven, this is what the rider pays
+              <FareBreakdown booking={booking} />
+            ) : (
+              <>
+                <p className="flex justify-between text-lg mb-2">
+                  <span className="font-semibold text-gray-700">Trip Fare:</span>
+                  <span className="font-bold text-green-700">
+                    Rs {booking.estimated_fare}
+                  </span>
+                </p>
+                <p className="text-sm text-gray-600">
+                  Distance: {booking.distance_km} km • Duration:{" "}
+                  {booking.time_minutes} mins
+                </p>
+              </>
+            )}
           </div>
 
           <div className="flex flex-col gap-3">
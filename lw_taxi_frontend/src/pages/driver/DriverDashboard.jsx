@@ -1,9 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import { useSocket, useSocketEvent } from '../../context/SocketContext';
 
 const API_URL = 'https://taxibackend-two.vercel.app/api/drivers';
 const BOOKINGS_API = 'https://taxibackend-two.vercel.app/api/bookings';
+// Command errors meaning the offer is gone, so its card should go too
+const STALE_OFFER_CODES = ['RIDE_TAKEN', 'DRIVER_BUSY', 'OFFER_WITHDRAWN', 'BOOKING_NOT_FOUND'];
 
 const DriverDashboard = () => {
   const navigate = useNavigate();
@@ -18,6 +21,7 @@ const DriverDashboard = () => {
   const [pollInterval, setPollInterval] = useState(5000); // Start with 5 seconds
   const pollIntervalRef = useRef(null);
   const abortControllerRef = useRef(null);
+  const { connected, setDriverOnline, sendCommand } = useSocket();
 
   const token = localStorage.getItem('token');
   const driverId = localStorage.getItem('userId');
@@ -103,17 +107,35 @@ const DriverDashboard = () => {
     }
   };
 
+  // Current position as [lat, lng] so dispatch can find the nearest driver
+  const getCurrentCoords = () =>
+    new Promise((resolve) => {
+      if (!navigator.geolocation) return resolve(null);
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve([position.coords.latitude, position.coords.longitude]),
+        (error) => {
+          console.warn('Geolocation unavailable:', error);
+          resolve(null);
+        },
+        { timeout: 5000 }
+      );
+    });
+
   // Toggle availability
   const toggleAvailability = async () => {
     setUpdating(true);
     try {
+      const goingOnline = !isAvailable;
+      const coords = goingOnline ? await getCurrentCoords() : null;
+
       const response = await axios.patch(
         `${API_URL}/${driverId}/availability`,
-        { isAvailable: !isAvailable },
+        { isAvailable: goingOnline, ...(coords && { coords }) },
         { headers: { Authorization: `Bearer ${token}` } }
       );
       
       const newAvailability = response.data.driver.isAvailable;
+      setDriverOnline(newAvailability, coords);
       setIsAvailable(newAvailability);
       setStatus(response.data.driver.status);
       
@@ -135,8 +157,36 @@ const DriverDashboard = () => {
     }
   };
 
+  const onRideAccepted = (rideId) => {
+    // Remove from list
+    setRides((prev) => prev.filter((r) => r._id !== rideId));
+
+    // Show confirmation
+    alert(`🎉 Ride accepted!\nBooking ID: ${rideId}`);
+
+    // Navigate to ride details
+    navigate(`/booking/${rideId}`);
+  };
+
+  // Over the socket the server acknowledges with a code, so a failure is explained
+  const handleCommandFailure = (action, rideId, error) => {
+    console.error(`Error ${action} ride:`, error);
+    if (STALE_OFFER_CODES.includes(error.code)) {
+      setRides((prev) => prev.filter((r) => r._id !== rideId));
+    }
+    alert(`Failed to ${action === 'accepting' ? 'accept' : 'decline'} ride: ${error.message}`);
+  };
+
   // Accept ride
   const handleAccept = async (rideId) => {
+    if (connected) {
+      const result = await sendCommand('accept_booking', { bookingId: rideId });
+      if (!result.ok) return handleCommandFailure('accepting', rideId, result.error);
+
+      console.log('✅ Ride accepted:', result.data);
+      return onRideAccepted(rideId);
+    }
+
     try {
       const response = await axios.patch(
         `${BOOKINGS_API}/${rideId}/accept`,
@@ -145,23 +195,31 @@ const DriverDashboard = () => {
       );
       
       console.log('✅ Ride accepted:', response.data);
-      
-      // Remove from list
-      setRides((prev) => prev.filter((r) => r._id !== rideId));
-      
-      // Show confirmation
-      alert(`🎉 Ride accepted!\nBooking ID: ${rideId}`);
-      
-      // Navigate to ride details
-      navigate(`/booking/${rideId}`);
+      onRideAccepted(rideId);
     } catch (error) {
       console.error('Error accepting ride:', error);
+
+      // Another driver won a broadcast offer, or the offer lapsed
+      if (error.response?.status === 409) {
+        setRides((prev) => prev.filter((r) => r._id !== rideId));
+        alert(error.response.data?.message || 'This ride has already been taken');
+        return;
+      }
+
       alert(`Failed to accept ride: ${error.response?.data?.message || error.message}`);
     }
   };
 
   // Decline ride
   const handleDecline = async (rideId) => {
+    if (connected) {
+      const result = await sendCommand('reject_booking', { bookingId: rideId });
+      if (!result.ok) return handleCommandFailure('declining', rideId, result.error);
+
+      console.log('👋 Ride declined:', rideId);
+      return setRides((prev) => prev.filter((r) => r._id !== rideId));
+    }
+
     try {
       await axios.patch(
         `${BOOKINGS_API}/${rideId}/decline`,
@@ -182,7 +240,34 @@ const DriverDashboard = () => {
     fetchDriverProfile();
   }, [driverId]);
 
-  // ✅ SMART POLLING - Adaptive interval based on ride availability
+  // Keeps the shared socket announcing this driver as online, also after reconnects
+  useEffect(() => {
+    setDriverOnline(isAvailable);
+  }, [isAvailable, setDriverOnline]);
+
+  // Live offers over the socket
+  const removeRide = (rideId) => setRides((prev) => prev.filter((r) => r._id !== rideId));
+
+  useSocketEvent('new_ride_request', (ride) => {
+    if (!isAvailable) return;
+    setRides((prev) => [...prev.filter((r) => r._id !== ride._id), ride]);
+  });
+  // Another driver accepted a ride that was broadcast to several drivers
+  useSocketEvent('ride_taken', ({ bookingId }) => removeRide(bookingId));
+  useSocketEvent('ride_request_expired', ({ bookingId }) => removeRide(bookingId));
+  useSocketEvent('ride_cancelled', ({ rideId }) => removeRide(rideId));
+  // Sent after a reconnect when the missed events could not be replayed
+  useSocketEvent('state_snapshot', ({ offers = [] }) => {
+    if (isAvailable) setRides(offers);
+  });
+  useSocketEvent('driver_status_update', (update) => {
+    setStatus(update.status);
+    setIsAvailable(update.isAvailable);
+    if (!update.isAvailable) setRides([]);
+  });
+
+  // ✅ SMART POLLING - Adaptive interval based on ride availability.
+  // Only a fallback while the socket is down; when connected we fetch once to catch up.
   useEffect(() => {
     if (!isAvailable) {
       if (pollIntervalRef.current) {
@@ -200,6 +285,8 @@ const DriverDashboard = () => {
     // Fetch immediately
     fetchAvailableRides();
 
+    if (connected) return;
+
     // Set up polling with current interval
     pollIntervalRef.current = setInterval(() => {
       fetchAvailableRides();
@@ -211,7 +298,7 @@ const DriverDashboard = () => {
         pollIntervalRef.current = null;
       }
     };
-  }, [isAvailable, pollInterval, token]);
+  }, [isAvailable, pollInterval, token, connected]);
 
   const handleLogout = () => {
     if (pollIntervalRef.current) {
@@ -293,12 +380,12 @@ const DriverDashboard = () => {
             : 'bg-blue-50 border-blue-200 text-blue-800'
         }`}>
           <p>
-            ⏱️ Polling every {(pollInterval / 1000).toFixed(0)} seconds
+            {connected ? '⚡ Live updates connected' : `⏱️ Polling every ${(pollInterval / 1000).toFixed(0)} seconds`}
             {pollStatus === 'polling' && ' (fetching...)'}
             {pollStatus === 'paused' && ' (⚠️ request timeout - retrying...)'}
           </p>
           {lastChecked && <p className="text-xs mt-1">Last checked: {lastChecked}</p>}
-          {rides.length > 0 && <p className="text-xs mt-1">📊 Faster polling active (rides available)</p>}
+          {!connected && rides.length > 0 && <p className="text-xs mt-1">📊 Faster polling active (rides available)</p>}
         </div>
       )}
 
@@ -350,6 +437,11 @@ const DriverDashboard = () => {
                     <p className="font-bold text-green-600 text-base mt-2">
                       💰 Fare: Rs {ride.estimatedFare || ride.estimated_fare}
                     </p>
+                    {ride.offer_expires_at && (
+                      <p className="text-xs text-orange-600 font-medium">
+                        ⏳ Respond by {new Date(ride.offer_expires_at).toLocaleTimeString()}
+                      </p>
+                    )}
                   </div>
                   <div className="flex gap-2 w-full sm:w-auto">
                     <button 